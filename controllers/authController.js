@@ -0,0 +1,304 @@
+import { and, eq, isNull } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { users } from "../database/schema/user.js";
+import { refreshTokens } from "../database/schema/refreshToken.js";
+import { hashPassword, verifyPassword } from "../helpers/password.js";
+import {
+  REFRESH_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+} from "../helpers/authTokens.js";
+import { clearAuthCookies, setAuthCookies } from "../middlewares/setAuth.js";
+import { AppError } from "../helpers/errors.js";
+
+const normalizeEmail = (email) => email.toLowerCase();
+
+export const toUserResponse = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+});
+
+/**
+ * @function issueTokens
+ * @description Stores a new refresh token for the user and signs the access/refresh token pair
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {Object} user - User the tokens are issued for
+ * @returns {Promise<{accessToken: string, refreshToken: string}>} Signed tokens
+ */
+const issueTokens = async (executor, user) => {
+  const [storedToken] = await executor
+    .insert(refreshTokens)
+    .values({
+      userId: user.id,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    })
+    .returning({ id: refreshTokens.id });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user.id, storedToken.id),
+  };
+};
+
+/**
+ * @function register
+ * @description Creates a user account and logs the new user in.
+ * New users are always viewers. The first admin is created by npm run seed:admin,
+ * see database/seedAdmin.js, further roles are assigned by admins
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email of the user
+ * @param {string} req.body.password - Password, at least 8 characters
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the created user, sets the access_token and refresh_token cookies
+ * @throws {422} If email or password is missing or invalid
+ * @throws {400} If a user with the same email already exists
+ * @example
+ *  Request body:
+ * {
+ *   "email": "editor@example.com",
+ *   "password": "correct horse battery"
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "User registered successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 1,
+ *     "email": "editor@example.com",
+ *     "role": "viewer"
+ *   }
+ * }
+ */
+export const register = async (req, res) => {
+  const { email, password } = req.body;
+
+  const normalizedEmail = normalizeEmail(email);
+
+  const existingUser = await db
+    .select({ id: users.id })
+    .from(users)
+    .where(eq(users.email, normalizedEmail));
+
+  if (existingUser.length > 0) {
+    throw new AppError(400, "USER_ALREADY_EXISTS", "User already exists");
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  const { user, tokens } = await db.transaction(async (tx) => {
+    const [user] = await tx
+      .insert(users)
+      .values({ email: normalizedEmail, passwordHash, role: "viewer" })
+      .returning();
+
+    return { user, tokens: await issueTokens(tx, user) };
+  });
+
+  setAuthCookies(res, tokens);
+
+  res.status(201).json({
+    message: "User registered successfully",
+    status: "success",
+    data: toUserResponse(user),
+  });
+};
+
+/**
+ * @function login
+ * @description Verifies the user's credentials and starts a session
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email of the user
+ * @param {string} req.body.password - Password of the user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user, sets the access_token and refresh_token cookies
+ * @throws {422} If email or password is missing
+ * @throws {401} If the email or password is wrong
+ * @example
+ *  Success response:
+ * {
+ *   "message": "Logged in successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 1,
+ *     "email": "editor@example.com",
+ *     "role": "viewer"
+ *   }
+ * }
+ */
+export const login = async (req, res) => {
+  const { email, password } = req.body;
+
+  const [user] = await db
+    .select()
+    .from(users)
+    .where(eq(users.email, normalizeEmail(email)));
+
+  // Same response for unknown emails and wrong passwords
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new AppError(401, "INVALID_CREDENTIALS", "Invalid email or password");
+  }
+
+  setAuthCookies(res, await issueTokens(db, user));
+
+  res.json({
+    message: "Logged in successfully",
+    status: "success",
+    data: toUserResponse(user),
+  });
+};
+
+/**
+ * @function refresh
+ * @description Exchanges the refresh_token cookie for a new access/refresh token pair.
+ * - The presented refresh token is revoked, so every refresh token works only once
+ * - Presenting an already revoked token revokes every session of the user, as the token was likely stolen
+ * @param {Object} req - Express request object, reads the refresh_token cookie
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user, sets new access_token and refresh_token cookies
+ * @throws {401} If the refresh token is missing, invalid, expired or revoked
+ * @example
+ *  Success response:
+ * {
+ *   "message": "Token refreshed successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 1,
+ *     "email": "editor@example.com",
+ *     "role": "viewer"
+ *   }
+ * }
+ */
+export const refresh = async (req, res) => {
+  const decoded = verifyToken(req?.cookies?.refresh_token, "refresh");
+
+  if (!decoded?.jti) {
+    throw new AppError(
+      401,
+      "REFRESH_TOKEN_INVALID",
+      "Invalid or expired refresh token"
+    );
+  }
+
+  const result = await db.transaction(async (tx) => {
+    const [storedToken] = await tx
+      .select()
+      .from(refreshTokens)
+      .where(eq(refreshTokens.id, decoded.jti))
+      .for("update");
+
+    if (!storedToken || storedToken.expiresAt < new Date()) {
+      return {
+        error: new AppError(
+          401,
+          "REFRESH_TOKEN_INVALID",
+          "Invalid or expired refresh token"
+        ),
+      };
+    }
+
+    if (storedToken.revokedAt) {
+      await tx
+        .update(refreshTokens)
+        .set({ revokedAt: new Date() })
+        .where(
+          and(
+            eq(refreshTokens.userId, storedToken.userId),
+            isNull(refreshTokens.revokedAt)
+          )
+        );
+
+      // returned instead of thrown, so the revocation above is committed
+      return {
+        error: new AppError(
+          401,
+          "REFRESH_TOKEN_REVOKED",
+          "Refresh token has been revoked"
+        ),
+      };
+    }
+
+    await tx
+      .update(refreshTokens)
+      .set({ revokedAt: new Date() })
+      .where(eq(refreshTokens.id, storedToken.id));
+
+    const [user] = await tx
+      .select()
+      .from(users)
+      .where(eq(users.id, storedToken.userId));
+
+    return { user, tokens: await issueTokens(tx, user) };
+  });
+
+  if (result.error) {
+    clearAuthCookies(res);
+    throw result.error;
+  }
+
+  setAuthCookies(res, result.tokens);
+
+  res.json({
+    message: "Token refreshed successfully",
+    status: "success",
+    data: toUserResponse(result.user),
+  });
+};
+
+/**
+ * @function logout
+ * @description Revokes the refresh_token cookie and clears both auth cookies.
+ * Always succeeds, even without a valid session
+ * @param {Object} req - Express request object, reads the refresh_token cookie
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with success message
+ * @example
+ *  Success response:
+ * {
+ *   "message": "Logged out successfully",
+ *   "status": "success"
+ * }
+ */
+export const logout = async (req, res) => {
+  const decoded = verifyToken(req?.cookies?.refresh_token, "refresh");
+
+  if (decoded?.jti) {
+    await db
+      .update(refreshTokens)
+      .set({ revokedAt: new Date() })
+      .where(
+        and(eq(refreshTokens.id, decoded.jti), isNull(refreshTokens.revokedAt))
+      );
+  }
+
+  clearAuthCookies(res);
+
+  res.json({
+    message: "Logged out successfully",
+    status: "success",
+  });
+};
+
+/**
+ * @function getCurrentUser
+ * @description Returns the user of the current access token
+ * @param {Object} req - Express request object, req.user is set by authenticateAccessToken
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user
+ * @throws {404} If the user no longer exists
+ */
+export const getCurrentUser = async (req, res) => {
+  const [user] = await db.select().from(users).where(eq(users.id, req.user.id));
+
+  if (!user) {
+    throw new AppError(404, "USER_NOT_FOUND", "User not found");
+  }
+
+  res.json({
+    message: "User fetched successfully",
+    status: "success",
+    data: toUserResponse(user),
+  });
+};
@@ -0,0 +1,33 @@
+import { getCacheStats } from "../helpers/queryCache.js";
+
+/**
+ * @function getQueryCacheStats
+ * @description Fetches the hit and miss counts of the query cache since this process started. Admin only.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the cache statistics
+ * @example
+ *  Request:
+ *  GET /api/admin/cache
+ *
+ *  Success response:
+ * {
+ *   "message": "Cache statistics fetched successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "store": "memory",
+ *     "hits": 120,
+ *     "misses": 30,
+ *     "hitRate": 0.8,
+ *     "errors": 0,
+ *     "entries": 30
+ *   }
+ * }
+ */
+export const getQueryCacheStats = async (req, res) => {
+  res.json({
+    message: "Cache statistics fetched successfully",
+    status: "success",
+    data: getCacheStats(),
+  });
+};
@@ -1,65 +1,311 @@
-import { eq } from "drizzle-orm";
+import { and, asc, count, eq, isNull, ne } from "drizzle-orm";
 import { db } from "../database/db.js";
 import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import {
+  buildCategoryTree,
+  getDescendantIds,
+  lockCategoryHierarchy,
+} from "../helpers/categoryTree.js";
+import { AppError, validationError } from "../helpers/errors.js";
+import {
+  recordAudit,
+  snapshotCategory,
+  snapshotProduct,
+} from "../helpers/audit.js";
+import { answerConditionalGet } from "../helpers/httpCache.js";
+import { touchProduct } from "../helpers/products.js";
+import { cachedQuery } from "../helpers/queryCache.js";
 import {
   reformatCategoryNameInput,
   reformatCategoryNameResponse,
 } from "../helpers/reformatCategoryName.js";
+import {
+  changeSlug,
+  deleteSlugRedirects,
+  generateUniqueSlug,
+  redirectPath,
+  resolveSlug,
+} from "../helpers/slugs.js";
+
+/**
+ * @function countProductsInCategory
+ * @description Counts the products associated with a category
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} categoryId - ID of the category
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrashed] - Also count products in the trash, which keep their categories for a restore
+ * @returns {Promise<number>} Number of associated products
+ */
+const countProductsInCategory = async (
+  executor,
+  categoryId,
+  { includeTrashed = false } = {}
+) => {
+  const [{ productCount }] = await executor
+    .select({ productCount: count() })
+    .from(productCategories)
+    .innerJoin(products, eq(products.id, productCategories.productId))
+    .where(
+      and(
+        eq(productCategories.categoryId, categoryId),
+        includeTrashed ? undefined : isNull(products.deletedAt)
+      )
+    );
+
+  return productCount;
+};
+
+/**
+ * @function findCategory
+ * @description Fetches a category by ID
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} id - ID of the category
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - true to lock the category row until the transaction ends,
+ * products and subcategories added to it concurrently wait for the lock
+ * @returns {Promise<Object|undefined>} The category or undefined if not found
+ */
+const findCategory = async (executor, id, { lock = false } = {}) => {
+  const query = executor.select().from(categories).where(eq(categories.id, id));
+
+  const [category] = await (lock ? query.for("update") : query);
+
+  return category;
+};
 
 /**
  * @function getCategories
- * @description Fetches all categories from the database and returns them in a human-readable format
+ * @description Fetches all categories from the database and returns them in a human-readable format.
+ * The response has an ETag and a Last-Modified date, a request with If-None-Match or
+ * If-Modified-Since gets a 304 without a body while nothing changed
  * @param {Object} req - Express request object
+ * @param {boolean} [req.query.includeProductCount] - "true" to include the number of products in each category
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with success message and array of categories
  * @example
- * // Success response:
+ *  Request:
+ *  GET /api/categories?includeProductCount=true
+ *
+ *  Success response:
  * {
  *   "message": "Categories fetched successfully",
  *   "status": "success",
  *   "data": [
  *     {
  *       "id": 1,
- *       "name": "category one"
+ *       "name": "category one",
+ *       "slug": "category-one",
+ *       "parentId": null,
+ *       "productCount": 4
  *     },
  *     {
  *       "id": 2,
- *       "name": "category two"
+ *       "name": "category two",
+ *       "slug": "category-two",
+ *       "parentId": 1,
+ *       "productCount": 0
  *     }
  *   ]
  * }
  */
 export const getCategories = async (req, res) => {
-  const allCategories = await db
-    .select({
-      id: categories.id,
-      name: categories.name,
-    })
-    .from(categories);
+  const { includeProductCount } = req.query;
+
+  // Product counts change with the products too
+  const tableNames = includeProductCount
+    ? ["categories", "products"]
+    : ["categories"];
+
+  if (await answerConditionalGet(req, res, tableNames)) return;
+
+  const allCategories = await cachedQuery(
+    tableNames,
+    `categories:list:${Boolean(includeProductCount)}`,
+    () =>
+      includeProductCount
+        ? db
+            .select({
+              id: categories.id,
+              name: categories.name,
+              slug: categories.slug,
+              parentId: categories.parentId,
+              productCount: count(products.id),
+            })
+            .from(categories)
+            .leftJoin(
+              productCategories,
+              eq(productCategories.categoryId, categories.id)
+            )
+            // Trashed products are not counted
+            .leftJoin(
+              products,
+              and(
+                eq(products.id, productCategories.productId),
+                isNull(products.deletedAt)
+              )
+            )
+            .groupBy(categories.id)
+        : db
+            .select({
+              id: categories.id,
+              name: categories.name,
+              slug: categories.slug,
+              parentId: categories.parentId,
+            })
+            .from(categories)
+  );
 
   res.json({
     message: "Categories fetched successfully",
     status: "success",
     data: allCategories.map((category) => ({
-      id: category.id,
+      ...category,
       name: reformatCategoryNameResponse(category.name),
     })),
   });
 };
 
+/**
+ * @function getCategory
+ * @description Fetches a single category by ID or slug, with the number of products associated with it.
+ * A former slug answers with a 301 redirect to the current one
+ * @param {Object} req - Express request object
+ * @param {string} req.params.idOrSlug - ID or slug of the category
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the category or error message
+ * @throws {422} If idOrSlug is neither an ID nor a slug
+ * @throws {404} If category not found
+ * @example
+ *  Request:
+ *  GET /api/category/category-one
+ *
+ *  Success response:
+ * {
+ *   "message": "Category fetched successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 1,
+ *     "name": "category one",
+ *     "slug": "category-one",
+ *     "parentId": null,
+ *     "productCount": 4
+ *   }
+ * }
+ */
+export const getCategory = async (req, res) => {
+  const { idOrSlug } = req.params;
+
+  const target = await resolveSlug(db, "category", idOrSlug);
+
+  if (target?.redirectTo) {
+    return res.redirect(
+      301,
+      redirectPath(req, `/api/category/${target.redirectTo}`)
+    );
+  }
+
+  const category =
+    target &&
+    (await cachedQuery(
+      ["categories", "products"],
+      `categories:detail:${target.id}`,
+      async () => {
+        const found = await findCategory(db, target.id);
+
+        return found
+          ? {
+              id: found.id,
+              name: reformatCategoryNameResponse(found.name),
+              slug: found.slug,
+              parentId: found.parentId,
+              productCount: await countProductsInCategory(db, found.id),
+            }
+          : null;
+      }
+    ));
+
+  if (!category) {
+    throw new AppError(404, "CATEGORY_NOT_FOUND", "Category not found");
+  }
+
+  res.json({
+    message: "Category fetched successfully",
+    status: "success",
+    data: category,
+  });
+};
+
+/**
+ * @function getCategoryTree
+ * @description Fetches all categories nested under their parent categories
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the top level categories and their children
+ * @example
+ *  Success response:
+ * {
+ *   "message": "Category tree fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "name": "clothing",
+ *       "slug": "clothing",
+ *       "parentId": null,
+ *       "children": [
+ *         {
+ *           "id": 4,
+ *           "name": "female clothing",
+ *           "slug": "female-clothing",
+ *           "parentId": 1,
+ *           "children": []
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+export const getCategoryTree = async (req, res) => {
+  const allCategories = await cachedQuery(
+    ["categories"],
+    "categories:tree",
+    () =>
+      db
+        .select({
+          id: categories.id,
+          name: categories.name,
+          slug: categories.slug,
+          parentId: categories.parentId,
+        })
+        .from(categories)
+        .orderBy(categories.name)
+  );
+
+  res.json({
+    message: "Category tree fetched successfully",
+    status: "success",
+    data: buildCategoryTree(allCategories),
+  });
+};
+
 /**
  * @function addCategory
- * @description Adds a new category to the database
+ * @description Adds a new category to the database, with a unique slug generated from its name
  * @param {Object} req.body - Request body
  * @param {string} req.body.name - Name of the category to add
+ * @param {number|null} [req.body.parentId] - ID of the parent category, omitted or null for a top level category
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with success/error message and category data
- * @throws {400} If name is not provided
+ * @throws {422} If name is not provided or parentId is invalid
+ * @throws {400} If the parent category does not exist
  * @throws {400} If category with same name already exists
  * @example
  *  Request body:
  * {
- *   "name": "New Category"
+ *   "name": "New Category",
+ *   "parentId": 1
  * }
  *
  *  Success response:
@@ -68,29 +314,36 @@ export const getCategories = async (req, res) => {
  *   "status": "success",
  *   "data": [{
  *     "id": 123,
- *     "name": "new category"
+ *     "name": "new category",
+ *     "slug": "new-category",
+ *     "parentId": 1
  *   }]
  * }
  *
  *  Error response (missing name):
  * {
- *   "message": "Name is required",
- *   "status": "error"
+ *   "message": "Validation failed",
+ *   "status": "error",
+ *   "code": "VALIDATION_FAILED",
+ *   "errors": [{ "field": "name", "message": "name is required" }]
  * }
  *
  *  Error response (duplicate category):
  * {
  *   "message": "Category already exists",
- *   "status": "error"
+ *   "status": "error",
+ *   "code": "CATEGORY_ALREADY_EXISTS"
  * }
  */
 export const addCategory = async (req, res) => {
-  const { name } = req.body;
-  if (!name) {
-    return res.status(400).json({
-      message: "Name is required",
-      status: "error",
-    });
+  const { name, parentId = null } = req.body;
+
+  if (parentId !== null && !(await findCategory(db, parentId))) {
+    throw new AppError(
+      400,
+      "PARENT_CATEGORY_NOT_FOUND",
+      "Parent category not found"
+    );
   }
 
   const formattedCategoryName = reformatCategoryNameInput(name);
@@ -101,23 +354,45 @@ export const addCategory = async (req, res) => {
     .where(eq(categories.name, formattedCategoryName));
 
   if (existingCategory.length > 0) {
-    return res.status(400).json({
-      message: "Category already exists",
-      status: "error",
-    });
+    throw new AppError(
+      400,
+      "CATEGORY_ALREADY_EXISTS",
+      "Category already exists"
+    );
   }
 
-  const category = await db
-    .insert(categories)
-    .values({ name: formattedCategoryName })
-    .returning({
-      id: categories.id,
-      name: categories.name,
+  const category = await db.transaction(async (tx) => {
+    const inserted = await tx
+      .insert(categories)
+      .values({
+        name: formattedCategoryName,
+        slug: await generateUniqueSlug(tx, "category", formattedCategoryName),
+        parentId,
+      })
+      .returning({
+        id: categories.id,
+        name: categories.name,
+        slug: categories.slug,
+        parentId: categories.parentId,
+      });
+
+    await recordAudit(tx, {
+      entityType: "category",
+      entityId: inserted[0].id,
+      action: "create",
+      userId: req.user?.id,
+      before: null,
+      after: await snapshotCategory(tx, inserted[0].id),
     });
 
+    return inserted;
+  });
+
   const response = category.map((c) => ({
     id: c.id,
     name: reformatCategoryNameResponse(c.name),
+    slug: c.slug,
+    parentId: c.parentId,
   }));
 
   res.json({
@@ -126,3 +401,295 @@ export const addCategory = async (req, res) => {
     data: response,
   });
 };
+
+/**
+ * @function editCategory
+ * @description Renames a category, changes its slug and/or moves it under another parent.
+ * - The new name goes through the same formatting and uniqueness check as addCategory
+ * - Renaming keeps the slug, a new slug keeps the former one as a redirect
+ * - A category cannot be moved under itself or one of its own subcategories
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - ID of the category
+ * @param {string} [req.body.name] - New name of the category
+ * @param {string} [req.body.slug] - New slug of the category
+ * @param {number|null} [req.body.parentId] - ID of the new parent category, null to make it a top level category
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated category or error message
+ * @throws {422} If the ID or parentId is invalid
+ * @throws {400} If neither name, slug nor parentId is provided
+ * @throws {404} If category not found
+ * @throws {400} If another category has the same name, or uses the slug now or formerly
+ * @throws {400} If the parent category does not exist or would create a cycle
+ * @example
+ *  Request:
+ *  PUT /api/category/4
+ * {
+ *   "name": "Female Clothing",
+ *   "parentId": 1
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Category updated successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 4,
+ *     "name": "female clothing",
+ *     "slug": "female-clothing",
+ *     "parentId": 1
+ *   }
+ * }
+ */
+export const editCategory = async (req, res) => {
+  const { id } = req.params;
+
+  const { name, slug, parentId } = req.body;
+  if (!name && !slug && parentId === undefined) {
+    throw validationError([
+      { field: "name", message: "name, slug or parentId is required" },
+    ]);
+  }
+
+  if (!(await findCategory(db, id))) {
+    throw new AppError(404, "CATEGORY_NOT_FOUND", "Category not found");
+  }
+
+  const formattedCategoryName = name ? reformatCategoryNameInput(name) : null;
+
+  if (formattedCategoryName) {
+    const duplicateCategory = await db
+      .select()
+      .from(categories)
+      .where(
+        and(eq(categories.name, formattedCategoryName), ne(categories.id, id))
+      );
+
+    if (duplicateCategory.length > 0) {
+      throw new AppError(
+        400,
+        "CATEGORY_ALREADY_EXISTS",
+        "Category already exists"
+      );
+    }
+  }
+
+  /*
+
+  Moves hold the category hierarchy lock from the cycle check until the commit, so no other
+  move changes the subtree between reading it and writing the new parent
+
+  */
+  const category = await db.transaction(async (tx) => {
+    const before = await snapshotCategory(tx, id);
+
+    if (parentId) {
+      await lockCategoryHierarchy(tx);
+
+      if (!(await findCategory(tx, parentId))) {
+        throw new AppError(
+          400,
+          "PARENT_CATEGORY_NOT_FOUND",
+          "Parent category not found"
+        );
+      }
+
+      const descendantIds = await getDescendantIds(tx, id);
+
+      if (parentId === id || descendantIds.includes(parentId)) {
+        throw new AppError(
+          400,
+          "CATEGORY_CYCLE",
+          "A category cannot be moved under itself or one of its subcategories"
+        );
+      }
+    }
+
+    if (slug) {
+      await changeSlug(tx, "category", id, slug);
+    }
+
+    const [updatedCategory] = await tx
+      .update(categories)
+      .set({
+        ...(formattedCategoryName && { name: formattedCategoryName }),
+        ...(parentId !== undefined && { parentId }),
+        updatedAt: new Date(),
+      })
+      .where(eq(categories.id, id))
+      .returning({
+        id: categories.id,
+        name: categories.name,
+        slug: categories.slug,
+        parentId: categories.parentId,
+      });
+
+    await recordAudit(tx, {
+      entityType: "category",
+      entityId: id,
+      action: "update",
+      userId: req.user?.id,
+      before,
+      after: await snapshotCategory(tx, id),
+    });
+
+    return updatedCategory;
+  });
+
+  res.json({
+    message: "Category updated successfully",
+    status: "success",
+    data: {
+      id: category.id,
+      name: reformatCategoryNameResponse(category.name),
+      slug: category.slug,
+      parentId: category.parentId,
+    },
+  });
+};
+
+/**
+ * @function deleteCategory
+ * @description Deletes a category.
+ * - By default the delete is refused while products are still associated with the category
+ * - With cascade=true the product associations are removed together with the category (the products are kept),
+ *   each of these products is touched and gets an update entry in the audit log
+ * - Categories with subcategories are never deleted, the subcategories have to be moved or deleted first
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - ID of the category
+ * @param {boolean} [req.query.cascade] - "true" to also remove the category from its products
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the deleted category or error message
+ * @throws {422} If the ID is invalid
+ * @throws {404} If category not found
+ * @throws {409} If products still reference the category and cascade is not set
+ * @throws {409} If the category has subcategories
+ * @example
+ *  Request:
+ *  DELETE /api/category/1?cascade=true
+ *
+ *  Success response:
+ * {
+ *   "message": "Category deleted successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 1,
+ *     "name": "category one",
+ *     "removedProductAssociations": 4
+ *   }
+ * }
+ *
+ *  Error response (category in use):
+ * {
+ *   "message": "Category is still used by 4 product(s). Use cascade=true to remove it from them",
+ *   "status": "error",
+ *   "code": "CATEGORY_IN_USE"
+ * }
+ */
+export const deleteCategory = async (req, res) => {
+  const { id } = req.params;
+
+  const { cascade } = req.query;
+
+  /*
+
+  The category row is locked before anything is counted. Adding a product or subcategory to it
+  checks the foreign key, which waits for the lock and fails once the category is gone, so
+  nothing is added between the counts and the delete. Without cascade no association is
+  deleted, the restrict foreign key refuses the delete if one was missed.
+
+  */
+  const result = await db.transaction(async (tx) => {
+    if (!(await findCategory(tx, id, { lock: true }))) {
+      throw new AppError(404, "CATEGORY_NOT_FOUND", "Category not found");
+    }
+
+    const subcategories = await tx
+      .select({ id: categories.id })
+      .from(categories)
+      .where(eq(categories.parentId, id));
+
+    if (subcategories.length > 0) {
+      throw new AppError(
+        409,
+        "CATEGORY_HAS_SUBCATEGORIES",
+        `Category has ${subcategories.length} subcategory(ies). Move or delete them first`
+      );
+    }
+
+    // Trashed products count too, restoring them would bring the category back
+    const productCount = await countProductsInCategory(tx, id, {
+      includeTrashed: true,
+    });
+
+    if (productCount > 0 && !cascade) {
+      throw new AppError(
+        409,
+        "CATEGORY_IN_USE",
+        `Category is still used by ${productCount} product(s). Use cascade=true to remove it from them`
+      );
+    }
+
+    const before = await snapshotCategory(tx, id);
+
+    if (cascade) {
+      const associations = await tx
+        .select({ productId: productCategories.productId })
+        .from(productCategories)
+        .where(eq(productCategories.categoryId, id))
+        .orderBy(asc(productCategories.productId));
+
+      const productsBefore = new Map();
+      for (const { productId } of associations) {
+        productsBefore.set(productId, await snapshotProduct(tx, productId));
+      }
+
+      await tx
+        .delete(productCategories)
+        .where(eq(productCategories.categoryId, id));
+
+      // Losing a category is a change of the product, for its version and its history
+      for (const [productId, productBefore] of productsBefore) {
+        await touchProduct(tx, productId);
+        await recordAudit(tx, {
+          entityType: "product",
+          entityId: productId,
+          action: "update",
+          userId: req.user?.id,
+          before: productBefore,
+          after: await snapshotProduct(tx, productId),
+        });
+      }
+    }
+
+    const [deleted] = await tx
+      .delete(categories)
+      .where(eq(categories.id, id))
+      .returning({
+        id: categories.id,
+        name: categories.name,
+      });
+
+    await deleteSlugRedirects(tx, "category", id);
+
+    await recordAudit(tx, {
+      entityType: "category",
+      entityId: id,
+      action: "delete",
+      userId: req.user?.id,
+      before,
+      after: null,
+    });
+
+    return { productCount, deleted };
+  });
+
+  res.json({
+    message: "Category deleted successfully",
+    status: "success",
+    data: {
+      id: result.deleted.id,
+      name: reformatCategoryNameResponse(result.deleted.name),
+      removedProductAssociations: result.productCount,
+    },
+  });
+};
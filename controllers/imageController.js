@@ -0,0 +1,357 @@
+import { randomUUID } from "node:crypto";
+import { and, asc, count, eq, max } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { productImages } from "../database/schema/productImage.js";
+import { AppError } from "../helpers/errors.js";
+import { imageStorage } from "../helpers/imageStorage.js";
+import {
+  checkImageFile,
+  fetchImagesByProduct,
+  imageExtension,
+  removeImageFiles,
+  toImageResponse,
+} from "../helpers/productImages.js";
+import { assertActiveProduct, touchProduct } from "../helpers/products.js";
+
+/**
+ * @function fetchProductImages
+ * @description Fetches the images of one product in display order
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<Object[]>} Images for a response
+ */
+const fetchProductImages = async (executor, productId) => {
+  const imagesByProduct = await fetchImagesByProduct(executor, [productId]);
+  return imagesByProduct.get(productId) ?? [];
+};
+
+/**
+ * @function getProductImages
+ * @description Fetches the images of a product in display order
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the images
+ * @throws {422} If the ID is invalid
+ * @throws {404} If the product does not exist or is trashed
+ * @example
+ *  Request:
+ *  GET /api/product/12/images
+ *
+ *  Success response:
+ * {
+ *   "message": "Images fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     {
+ *       "id": 5,
+ *       "url": "/uploads/products/12/0b8f6c1e-4f0e-4a8e-9a57-2f1c3b7d9e10.jpg",
+ *       "contentType": "image/jpeg",
+ *       "size": 48213,
+ *       "position": 0,
+ *       "isPrimary": true
+ *     }
+ *   ]
+ * }
+ */
+export const getProductImages = async (req, res) => {
+  const { id } = req.params;
+
+  await assertActiveProduct(db, id);
+
+  res.json({
+    message: "Images fetched successfully",
+    status: "success",
+    data: await fetchProductImages(db, id),
+  });
+};
+
+/**
+ * @function addProductImages
+ * @description Uploads images of a product, appended after its current images.
+ * The first image of a product becomes its primary image.
+ * Files are checked before anything is stored: jpeg, png, gif or webp, at most 5 MB each
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {Object[]} req.files - Files of the images field of a multipart/form-data body, parsed by uploadImages
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the added images
+ * @throws {400} If no file was sent
+ * @throws {415} If a file is not an accepted image, the response lists every rejected file
+ * @throws {413} If a file is too large
+ * @throws {404} If the product does not exist or is trashed
+ * @example
+ *  Request:
+ *  POST /api/product/12/images
+ *  Content-Type: multipart/form-data
+ *  images: front.jpg, back.png
+ *
+ *  Success response:
+ * {
+ *   "message": "Images added successfully",
+ *   "status": "success",
+ *   "data": [
+ *     { "id": 6, "url": "/uploads/products/12/5d1c....jpg", "contentType": "image/jpeg", "size": 48213, "position": 1, "isPrimary": false },
+ *     { "id": 7, "url": "/uploads/products/12/9a3e....png", "contentType": "image/png", "size": 10240, "position": 2, "isPrimary": false }
+ *   ]
+ * }
+ */
+export const addProductImages = async (req, res) => {
+  const { id } = req.params;
+  const files = req.files ?? [];
+
+  if (files.length === 0) {
+    throw new AppError(
+      400,
+      "NO_IMAGES",
+      "Send at least one image in the images field"
+    );
+  }
+
+  const errors = files
+    .map(checkImageFile)
+    .filter(Boolean)
+    .map((message) => ({ field: "images", message }));
+
+  if (errors.length > 0) {
+    throw new AppError(
+      415,
+      "UNSUPPORTED_IMAGE",
+      "Only jpeg, png, gif and webp images are accepted",
+      { errors }
+    );
+  }
+
+  await assertActiveProduct(db, id);
+
+  // Step 1: Store the files, rows are only written once every file is stored
+  const uploads = files.map((file) => ({
+    storageKey: `products/${id}/${randomUUID()}${imageExtension(
+      file.mimetype
+    )}`,
+    contentType: file.mimetype,
+    size: file.size,
+    buffer: file.buffer,
+  }));
+
+  let addedImages;
+
+  try {
+    for (const upload of uploads) {
+      await imageStorage.save(
+        upload.storageKey,
+        upload.buffer,
+        upload.contentType
+      );
+    }
+
+    // Step 2: Append the images after the current ones
+    addedImages = await db.transaction(async (tx) => {
+      await assertActiveProduct(tx, id, { lock: true });
+
+      const [{ lastPosition, imageCount }] = await tx
+        .select({
+          lastPosition: max(productImages.position),
+          imageCount: count(),
+        })
+        .from(productImages)
+        .where(eq(productImages.productId, id));
+
+      const insertedImages = await tx
+        .insert(productImages)
+        .values(
+          uploads.map((upload, index) => ({
+            productId: id,
+            storageKey: upload.storageKey,
+            contentType: upload.contentType,
+            size: upload.size,
+            position: (lastPosition ?? -1) + 1 + index,
+            isPrimary: imageCount === 0 && index === 0,
+          }))
+        )
+        .returning();
+
+      await touchProduct(tx, id);
+
+      return insertedImages;
+    });
+  } catch (error) {
+    // Nothing references the stored files, don't leave them behind
+    await removeImageFiles(uploads.map((upload) => upload.storageKey));
+    throw error;
+  }
+
+  res.json({
+    message: "Images added successfully",
+    status: "success",
+    data: addedImages.map(toImageResponse),
+  });
+};
+
+/**
+ * @function arrangeProductImages
+ * @description Sets the display order of the images of a product, and optionally its primary image
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {number[]} req.body.imageIds - IDs of all images of the product, in display order
+ * @param {number} [req.body.primaryImageId] - ID of the image to make the primary image
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the images in their new order
+ * @throws {422} If a field is invalid
+ * @throws {404} If the product does not exist or is trashed
+ * @throws {400} If imageIds does not list exactly the images of the product, or primaryImageId is not one of them
+ * @example
+ *  Request:
+ *  PUT /api/product/12/images
+ * {
+ *   "imageIds": [7, 5, 6],
+ *   "primaryImageId": 7
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Images arranged successfully",
+ *   "status": "success",
+ *   "data": [
+ *     { "id": 7, "url": "/uploads/products/12/9a3e....png", "contentType": "image/png", "size": 10240, "position": 0, "isPrimary": true },
+ *     { "id": 5, "url": "/uploads/products/12/0b8f....jpg", "contentType": "image/jpeg", "size": 48213, "position": 1, "isPrimary": false },
+ *     { "id": 6, "url": "/uploads/products/12/5d1c....jpg", "contentType": "image/jpeg", "size": 48213, "position": 2, "isPrimary": false }
+ *   ]
+ * }
+ */
+export const arrangeProductImages = async (req, res) => {
+  const { id } = req.params;
+  const { imageIds, primaryImageId } = req.body;
+
+  const images = await db.transaction(async (tx) => {
+    await assertActiveProduct(tx, id, { lock: true });
+
+    const currentImages = await tx
+      .select({ id: productImages.id })
+      .from(productImages)
+      .where(eq(productImages.productId, id))
+      .orderBy(asc(productImages.id));
+
+    const currentIds = currentImages.map((image) => image.id);
+
+    if (
+      imageIds.length !== currentIds.length ||
+      !currentIds.every((imageId) => imageIds.includes(imageId))
+    ) {
+      throw new AppError(
+        400,
+        "INVALID_IMAGE_ORDER",
+        `imageIds must list every image of the product once: ${currentIds.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (primaryImageId !== undefined && !currentIds.includes(primaryImageId)) {
+      throw new AppError(
+        400,
+        "INVALID_PRIMARY_IMAGE",
+        "primaryImageId must be one of the images of the product"
+      );
+    }
+
+    for (const [position, imageId] of imageIds.entries()) {
+      await tx
+        .update(productImages)
+        .set({ position })
+        .where(eq(productImages.id, imageId));
+    }
+
+    if (primaryImageId !== undefined) {
+      // Cleared first, a product can only have one primary image at a time
+      await tx
+        .update(productImages)
+        .set({ isPrimary: false })
+        .where(eq(productImages.productId, id));
+
+      await tx
+        .update(productImages)
+        .set({ isPrimary: true })
+        .where(eq(productImages.id, primaryImageId));
+    }
+
+    await touchProduct(tx, id);
+
+    return fetchProductImages(tx, id);
+  });
+
+  res.json({
+    message: "Images arranged successfully",
+    status: "success",
+    data: images,
+  });
+};
+
+/**
+ * @function deleteProductImage
+ * @description Deletes an image of a product and its file.
+ * When the primary image is deleted, the first remaining image becomes the primary image
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {number} req.params.imageId - ID of the image
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the deleted image
+ * @throws {422} If an ID is invalid
+ * @throws {404} If the product or the image does not exist
+ * @example
+ *  Request:
+ *  DELETE /api/product/12/images/5
+ *
+ *  Success response:
+ * {
+ *   "message": "Image deleted successfully",
+ *   "status": "success",
+ *   "data": { "id": 5, "url": "/uploads/products/12/0b8f....jpg", "contentType": "image/jpeg", "size": 48213, "position": 1, "isPrimary": false }
+ * }
+ */
+export const deleteProductImage = async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const deletedImage = await db.transaction(async (tx) => {
+    await assertActiveProduct(tx, id, { lock: true });
+
+    const [image] = await tx
+      .delete(productImages)
+      .where(
+        and(eq(productImages.id, imageId), eq(productImages.productId, id))
+      )
+      .returning();
+
+    if (!image) {
+      throw new AppError(404, "IMAGE_NOT_FOUND", "Image not found");
+    }
+
+    if (image.isPrimary) {
+      const [nextImage] = await tx
+        .select({ id: productImages.id })
+        .from(productImages)
+        .where(eq(productImages.productId, id))
+        .orderBy(asc(productImages.position), asc(productImages.id))
+        .limit(1);
+
+      if (nextImage) {
+        await tx
+          .update(productImages)
+          .set({ isPrimary: true })
+          .where(eq(productImages.id, nextImage.id));
+      }
+    }
+
+    await touchProduct(tx, id);
+
+    return image;
+  });
+
+  await removeImageFiles([deletedImage.storageKey]);
+
+  res.json({
+    message: "Image deleted successfully",
+    status: "success",
+    data: toImageResponse(deletedImage),
+  });
+};
@@ -0,0 +1,228 @@
+import { and, asc, count, desc, eq, isNull, lt } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { products } from "../database/schema/product.js";
+import { stockMovements } from "../database/schema/stockMovement.js";
+import { users } from "../database/schema/user.js";
+import { AppError } from "../helpers/errors.js";
+import {
+  LOW_STOCK_THRESHOLD,
+  recordStockMovement,
+} from "../helpers/inventory.js";
+import { DEFAULT_PAGE_SIZE } from "../helpers/pagination.js";
+
+/**
+ * @function addStockMovement
+ * @description Records a stock movement of a product and returns it with the new balance of the product.
+ * The stock of a product with variants is held by its variants, its movements name the variant.
+ * - receive and return add the quantity, sell removes it
+ * - adjust corrects the stock by a signed quantity, e.g. after a stocktake
+ * The stock can never become negative, also not when sales arrive at the same time.
+ * The product gets a new version, an edit based on the previous one gets a 409 and has to be retried
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {number} [req.body.variantId] - ID of the variant, required for a product with variants
+ * @param {string} req.body.type - One of receive, sell, adjust, return
+ * @param {number} req.body.quantity - Positive quantity, or a non-zero signed quantity for adjust
+ * @param {string} [req.body.note] - Free text, e.g. an order or delivery number
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the recorded movement
+ * @throws {422} If a field is invalid, or the product has variants and no variantId is given
+ * @throws {404} If the product does not exist or is trashed, or the variant is not one of its variants
+ * @throws {409} If there is not enough stock, the response carries the current stock
+ * @example
+ *  Request:
+ *  POST /api/product/12/stock
+ * {
+ *   "variantId": 3,
+ *   "type": "sell",
+ *   "quantity": 2,
+ *   "note": "order 1042"
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Stock movement recorded successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 31,
+ *     "productId": 12,
+ *     "variantId": 3,
+ *     "type": "sell",
+ *     "quantity": -2,
+ *     "balance": 8,
+ *     "note": "order 1042",
+ *     "userId": 2,
+ *     "createdAt": "2025-06-07T10:00:00.000Z"
+ *   }
+ * }
+ */
+export const addStockMovement = async (req, res) => {
+  const { id } = req.params;
+  const { variantId, type, quantity, note } = req.body;
+
+  const movement = await db.transaction((tx) =>
+    recordStockMovement(tx, {
+      productId: id,
+      variantId,
+      type,
+      quantity,
+      note,
+      userId: req.user?.id,
+    })
+  );
+
+  res.json({
+    message: "Stock movement recorded successfully",
+    status: "success",
+    data: movement,
+  });
+};
+
+/**
+ * @function getStockMovements
+ * @description Fetches the current stock of a product and a page of its stock movements, newest first.
+ * Also works for trashed products
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {number} [req.query.limit] - Page size (default 20, max 100)
+ * @param {number} [req.query.page] - 1-based page number
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the stock and the movements
+ * @throws {422} If a parameter is invalid
+ * @throws {404} If the product does not exist
+ * @example
+ *  Request:
+ *  GET /api/product/12/stock?limit=1
+ *
+ *  Success response:
+ * {
+ *   "message": "Stock movements fetched successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "productId": 12,
+ *     "stock": 8,
+ *     "movements": [
+ *       {
+ *         "id": 31,
+ *         "variantId": 3,
+ *         "type": "sell",
+ *         "quantity": -2,
+ *         "balance": 8,
+ *         "note": "order 1042",
+ *         "createdAt": "2025-06-07T10:00:00.000Z",
+ *         "user": { "id": 2, "email": "editor@example.com" }
+ *       }
+ *     ]
+ *   },
+ *   "pagination": { "total": 2, "limit": 1, "page": 1, "hasMore": true }
+ * }
+ */
+export const getStockMovements = async (req, res) => {
+  const { id } = req.params;
+  const { limit = DEFAULT_PAGE_SIZE, page = 1 } = req.query;
+
+  const [product] = await db
+    .select({ stock: products.stock })
+    .from(products)
+    .where(eq(products.id, id));
+
+  if (!product) {
+    throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+  }
+
+  const [{ total }] = await db
+    .select({ total: count() })
+    .from(stockMovements)
+    .where(eq(stockMovements.productId, id));
+
+  const movements = await db
+    .select({
+      id: stockMovements.id,
+      variantId: stockMovements.variantId,
+      type: stockMovements.type,
+      quantity: stockMovements.quantity,
+      balance: stockMovements.balance,
+      note: stockMovements.note,
+      createdAt: stockMovements.createdAt,
+      userId: users.id,
+      userEmail: users.email,
+    })
+    .from(stockMovements)
+    .leftJoin(users, eq(users.id, stockMovements.userId))
+    .where(eq(stockMovements.productId, id))
+    .orderBy(desc(stockMovements.createdAt), desc(stockMovements.id))
+    .limit(limit)
+    .offset((page - 1) * limit);
+
+  res.json({
+    message: "Stock movements fetched successfully",
+    status: "success",
+    data: {
+      productId: id,
+      stock: product.stock,
+      movements: movements.map(({ userId, userEmail, ...movement }) => ({
+        ...movement,
+        user: userId ? { id: userId, email: userEmail } : null,
+      })),
+    },
+    pagination: { total, limit, page, hasMore: page * limit < total },
+  });
+};
+
+/**
+ * @function getLowStockProducts
+ * @description Fetches active products with less stock than a threshold, lowest stock first
+ * @param {Object} req - Express request object
+ * @param {number} [req.query.threshold] - Products with less stock are listed (default 5)
+ * @param {number} [req.query.limit] - Page size (default 20, max 100)
+ * @param {number} [req.query.page] - 1-based page number
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the products and their stock
+ * @throws {422} If a parameter is invalid
+ * @example
+ *  Request:
+ *  GET /api/inventory/low-stock?threshold=3
+ *
+ *  Success response:
+ * {
+ *   "message": "Low stock products fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     { "id": 20, "name": "Boot", "stock": 0 },
+ *     { "id": 12, "name": "New Product", "stock": 2 }
+ *   ],
+ *   "pagination": { "total": 2, "limit": 20, "page": 1, "hasMore": false }
+ * }
+ */
+export const getLowStockProducts = async (req, res) => {
+  const {
+    threshold = LOW_STOCK_THRESHOLD,
+    limit = DEFAULT_PAGE_SIZE,
+    page = 1,
+  } = req.query;
+
+  const conditions = and(
+    isNull(products.deletedAt),
+    lt(products.stock, threshold)
+  );
+
+  const [{ total }] = await db
+    .select({ total: count() })
+    .from(products)
+    .where(conditions);
+
+  const lowStockProducts = await db
+    .select({ id: products.id, name: products.name, stock: products.stock })
+    .from(products)
+    .where(conditions)
+    .orderBy(asc(products.stock), asc(products.id))
+    .limit(limit)
+    .offset((page - 1) * limit);
+
+  res.json({
+    message: "Low stock products fetched successfully",
+    status: "success",
+    data: lowStockProducts,
+    pagination: { total, limit, page, hasMore: page * limit < total },
+  });
+};
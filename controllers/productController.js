@@ -1,34 +1,336 @@
 import { categories } from "../database/schema/category.js";
-import { desc, eq, inArray, ilike } from "drizzle-orm";
+import {
+  and,
+  asc,
+  count,
+  desc,
+  eq,
+  inArray,
+  isNotNull,
+  isNull,
+  sql,
+  TransactionRollbackError,
+} from "drizzle-orm";
 import { products } from "../database/schema/product.js";
 import { productCategories } from "../database/schema/productCategory.js";
+import { auditLogs } from "../database/schema/auditLog.js";
+import { users } from "../database/schema/user.js";
 import { reformatCategoryNameResponse } from "../helpers/reformatCategoryName.js";
 import { db } from "../database/db.js";
-import { setAuthCookies } from "../middlewares/setAuth.js";
+import { AppError, validationError } from "../helpers/errors.js";
+import { answerConditionalGet } from "../helpers/httpCache.js";
+import { cachedQuery } from "../helpers/queryCache.js";
+import {
+  diffSnapshots,
+  recordAudit,
+  snapshotProduct,
+} from "../helpers/audit.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  parsePagination,
+  parseSort,
+} from "../helpers/pagination.js";
+import {
+  buildProductFilterConditions,
+  parseProductFilters,
+} from "../helpers/productFilters.js";
+import { importProductRows, readImportRows } from "../helpers/productImport.js";
+import { applyBulkOperations } from "../helpers/productBulk.js";
+import {
+  fetchCategoryFacet,
+  fetchPriceFacet,
+} from "../helpers/productFacets.js";
+import {
+  normalizeTags,
+  searchCondition,
+  searchHeadline,
+  searchRank,
+  toHighlightHtml,
+  toPrefixQuery,
+} from "../helpers/productSearch.js";
+import {
+  fetchVariantsByProduct,
+  syncProductVariants,
+} from "../helpers/productVariants.js";
+import {
+  fetchImageKeys,
+  fetchImagesByProduct,
+  removeImageFiles,
+} from "../helpers/productImages.js";
+import {
+  changeSlug,
+  deleteSlugRedirects,
+  generateUniqueSlug,
+  redirectPath,
+  resolveSlug,
+} from "../helpers/slugs.js";
+import {
+  nextUpdatedAt,
+  productVersion,
+  readExpectedVersions,
+  versionETag,
+} from "../helpers/productVersion.js";
+import {
+  EXPORT_BATCH_SIZE,
+  EXPORT_FORMATS,
+  writeChunk,
+} from "../helpers/productExport.js";
+
+/**
+ * @function fetchCategoriesByProduct
+ * @description Fetches the categories of the given products, names in human-readable format
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number[]} productIds - IDs of the products
+ * @returns {Promise<Map<number, Object[]>>} Categories ({ id, name }) by product ID, only for products that have any
+ */
+const fetchCategoriesByProduct = async (executor, productIds) => {
+  const categoriesByProduct = new Map();
+
+  if (productIds.length === 0) return categoriesByProduct;
+
+  const categoryRows = await executor
+    .select({
+      productId: productCategories.productId,
+      category: categories,
+    })
+    .from(productCategories)
+    .innerJoin(categories, eq(categories.id, productCategories.categoryId))
+    .where(inArray(productCategories.productId, productIds));
+
+  for (const row of categoryRows) {
+    if (!categoriesByProduct.has(row.productId)) {
+      categoriesByProduct.set(row.productId, []);
+    }
+    categoriesByProduct.get(row.productId).push({
+      id: row.category.id,
+      name: reformatCategoryNameResponse(row.category.name),
+    });
+  }
+
+  return categoriesByProduct;
+};
+
+/**
+ * @function assertCategoriesExist
+ * @description Checks that every given category exists, before a product is linked to them
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number[]} categoryIds - IDs of the categories, without duplicates
+ * @returns {Promise<void>}
+ * @throws {400} If a category does not exist, missing lists their IDs
+ */
+const assertCategoriesExist = async (executor, categoryIds) => {
+  const existingCategories = await executor
+    .select({ id: categories.id })
+    .from(categories)
+    .where(inArray(categories.id, categoryIds));
+
+  const existingIds = existingCategories.map((category) => category.id);
+  const missing = categoryIds.filter(
+    (categoryId) => !existingIds.includes(categoryId)
+  );
+
+  if (missing.length > 0) {
+    throw new AppError(
+      400,
+      "CATEGORY_NOT_FOUND",
+      `Categories not found: ${missing.join(", ")}`,
+      { missing }
+    );
+  }
+};
+
+/**
+ * @function fetchProductDetail
+ * @description Fetches an active product with its categories, variants, images and version
+ * @param {Object} executor - Database or transaction to run the queries on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<Object|null>} Product or null if it does not exist or is trashed
+ */
+const fetchProductDetail = async (executor, productId) => {
+  const [product] = await executor
+    .select({
+      id: products.id,
+      name: products.name,
+      slug: products.slug,
+      price: products.price,
+      currency: products.currency,
+      description: products.description,
+      tags: products.tags,
+      stock: products.stock,
+      updatedAt: products.updatedAt,
+    })
+    .from(products)
+    .where(and(eq(products.id, productId), isNull(products.deletedAt)));
+
+  if (!product) return null;
+
+  const categoriesByProduct = await fetchCategoriesByProduct(executor, [
+    productId,
+  ]);
+  const variantsByProduct = await fetchVariantsByProduct(executor, [productId]);
+  const imagesByProduct = await fetchImagesByProduct(executor, [productId]);
+
+  const { updatedAt, ...fields } = product;
+
+  return {
+    ...fields,
+    version: productVersion(updatedAt),
+    categories: categoriesByProduct.get(productId) ?? [],
+    variants: variantsByProduct.get(productId) ?? [],
+    images: imagesByProduct.get(productId) ?? [],
+  };
+};
+
+/**
+ * @function fetchProductPage
+ * @description Fetches one page of products with their categories, shared by the catalog and the trash listing
+ * @param {Object} query - Express request query, see getProducts
+ * @param {Object} options - Listing options
+ * @param {boolean} options.trashed - true lists only trashed products, false only active ones
+ * @returns {Promise<{data: Object[], pagination: Object}>} Products of the page and pagination details
+ * @throws {422} If a query parameter is malformed, or the cursor was returned for another sort
+ */
+const fetchProductPage = async (query, { trashed }) => {
+  const sort = parseSort(query.sort);
+  const pagination = parsePagination(query, { sort });
+  const { filters, errors: filterErrors } = parseProductFilters(query);
+
+  const errors = [pagination.error, sort.error, ...filterErrors].filter(
+    Boolean
+  );
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  // Step 1: Build the filter shared by the total count and the page query
+  const conditions = buildProductFilterConditions({ ...filters, trashed });
+
+  const [{ total }] = await db
+    .select({ total: count() })
+    .from(products)
+    .where(and(...conditions));
+
+  // Step 2: Fetch one extra product to know whether another page exists
+  const pageRows = await db
+    .select({
+      id: products.id,
+      name: products.name,
+      slug: products.slug,
+      price: products.price,
+      currency: products.currency,
+      description: products.description,
+      tags: products.tags,
+      stock: products.stock,
+      updatedAt: products.updatedAt,
+      deletedAt: products.deletedAt,
+      sortValue: sort.cursorValue,
+    })
+    .from(products)
+    .where(
+      and(
+        ...conditions,
+        pagination.cursor ? sort.after(pagination.cursor) : undefined
+      )
+    )
+    .orderBy(...sort.orderBy)
+    .limit(pagination.limit + 1)
+    .offset(pagination.offset);
+
+  const hasMore = pageRows.length > pagination.limit;
+  const pageProducts = pageRows.slice(0, pagination.limit);
+  const lastProduct = pageProducts[pageProducts.length - 1];
+
+  // Step 3: Fetch ALL categories, variants and images of the products on this page
+  const pageProductIds = pageProducts.map((product) => product.id);
+  const categoriesByProduct = await fetchCategoriesByProduct(
+    db,
+    pageProductIds
+  );
+  const variantsByProduct = await fetchVariantsByProduct(db, pageProductIds);
+  const imagesByProduct = await fetchImagesByProduct(db, pageProductIds);
+
+  return {
+    // Step 4: Attach the categories, variants and images to their products, keeping the page order
+    data: pageProducts.map((product) => ({
+      id: product.id,
+      name: product.name,
+      slug: product.slug,
+      price: product.price,
+      currency: product.currency,
+      description: product.description,
+      tags: product.tags,
+      stock: product.stock,
+      version: productVersion(product.updatedAt),
+      ...(trashed && { deletedAt: product.deletedAt }),
+      categories: categoriesByProduct.get(product.id) ?? [],
+      variants: variantsByProduct.get(product.id) ?? [],
+      images: imagesByProduct.get(product.id) ?? [],
+    })),
+    pagination: {
+      total,
+      limit: pagination.limit,
+      page: pagination.page,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({
+            value: lastProduct.sortValue,
+            id: lastProduct.id,
+            sort: sort.key,
+          })
+        : null,
+    },
+  };
+};
 
 /**
  * @function getProducts
- * 1. Fetch all products with their associated categories
- * 2. Filter products by one or more category IDs (AND condition)
- * 
+ * 1. Fetch products with their associated categories, one page at a time
+ * 2. Filter products by category IDs (all or any of them), excluded category IDs,
+ *    price range, stock and creation/update dates
+ * 3. Search products by name
+ *
+ * All filters are combined into a single SQL query.
+ *
  * The response includes:
- * - Product details (id, name, price)
+ * - Product details (id, name, slug, price, currency, stock, version)
  * - Array of associated categories for each product
- * - Products are ordered by creation date (newest first)
- * 
+ * - Array of variants (sku, options, price override, stock) for each product
+ * - Array of images (url, position, isPrimary) for each product, in display order
+ * - Pagination details (total, nextCursor, hasMore)
+ *
+ * Products are ordered by creation date (newest first) unless a sort is given.
+ * Pagination is either cursor based (limit + cursor) or offset based (page + pageSize).
+ *
+ * The response has an ETag and a Last-Modified date, a request with If-None-Match or
+ * If-Modified-Since gets a 304 without a body while no product or category changed.
+ *
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} [req.query.categoryIds] - Optional JSON string of category IDs to filter by
+ * @param {string} [req.query.categoryIds] - Optional category IDs to filter by, as a JSON array or comma separated list
+ * @param {string} [req.query.categoryMatch] - Optional "all" (default) or "any" match on categoryIds
+ * @param {string} [req.query.excludeCategoryIds] - Optional category IDs products must not belong to
+ * @param {string} [req.query.includeDescendants] - Optional "true" to also match products in subcategories of the given categories
+ * @param {string} [req.query.minPrice] - Optional minimum price (inclusive)
+ * @param {string} [req.query.maxPrice] - Optional maximum price (inclusive)
+ * @param {string} [req.query.currency] - Optional ISO 4217 code, only products priced in this currency
+ * @param {string} [req.query.inStock] - Optional "true" to only list products with stock left
+ * @param {string} [req.query.createdAfter] - Optional ISO date, only products created since then
+ * @param {string} [req.query.updatedSince] - Optional ISO date, only products updated since then
+ * @param {string} [req.query.name] - Optional product name search
+ * @param {string} [req.query.sort] - Optional "field:direction" sort, field is one of price, name, createdAt, updatedAt
+ * @param {string} [req.query.limit] - Optional page size (default 20, max 100), alias of pageSize
+ * @param {string} [req.query.cursor] - Optional cursor returned as nextCursor by the previous page, valid for the same sort only
+ * @param {string} [req.query.page] - Optional 1-based page number, ignored when a cursor is given
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Sends JSON response with products data
- * 
+ *
  * @example
- * 
- *  Request body:
- * {
- *   "categoryIds": [1, 4]
- * }
- * 
+ *
+ *  Request:
+ *  GET /api/products?categoryIds=[1,4]&minPrice=1&sort=price:asc&limit=1
+ *
  *  Success response:
  * {
 	"message": "Products fetched successfully",
@@ -37,7 +339,13 @@ import { setAuthCookies } from "../middlewares/setAuth.js";
 		{
 		"id": 20,
 		"name": "4",
-		"price": 3,
+		"slug": "product-4",
+		"price": "3.00",
+		"currency": "USD",
+		"description": null,
+		"tags": [],
+		"stock": 7,
+		"version": 1718000000000,
 		"categories": [
 			{
 				"id": 1,
@@ -47,153 +355,492 @@ import { setAuthCookies } from "../middlewares/setAuth.js";
 				"id": 4,
 				"name": "female clothing"
 			}
+		],
+		"variants": [
+			{
+				"id": 3,
+				"sku": "4-S",
+				"options": { "size": "S" },
+				"price": null,
+				"stock": 7
+			}
+		],
+		"images": [
+			{
+				"id": 5,
+				"url": "/uploads/products/20/0b8f6c1e-4f0e-4a8e-9a57-2f1c3b7d9e10.jpg",
+				"contentType": "image/jpeg",
+				"size": 48213,
+				"position": 0,
+				"isPrimary": true
+			}
 		]
 	}
+	],
+	"pagination": {
+		"total": 2,
+		"limit": 1,
+		"page": 1,
+		"hasMore": true,
+		"nextCursor": "eyJ2YWx1ZSI6IjMiLCJpZCI6MjB9"
+	}
 }
- * 
+ *
  */
 
 export const getProducts = async (req, res) => {
-  let { categoryIds, name: productNameSearch } = req.query;
-  const { user } = req;
+  if (await answerConditionalGet(req, res, ["products", "categories"])) return;
 
-  console.log("user", user);
+  const page = await cachedQuery(
+    ["products", "categories"],
+    `products:page:${JSON.stringify(req.query)}`,
+    () => fetchProductPage(req.query, { trashed: false })
+  );
 
-  // Parse categoryIds if provided
-  if (categoryIds) {
-    categoryIds = JSON.parse(categoryIds);
-  }
+  // Return success response with products data
+  res.json({
+    message: "Products fetched successfully",
+    status: "success",
+    ...page,
+  });
+};
 
-  let matchingProductIds = [];
+/**
+ * @function getTrashedProducts
+ * @description Fetches a page of products in the trash. Accepts the same filters, sort and pagination as getProducts
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters, see getProducts
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with trashed products, each with its deletedAt date
+ * @example
+ *  Request:
+ *  GET /api/products/trash?sort=name:asc
+ *
+ *  Success response:
+ * {
+ *   "message": "Trashed products fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     {
+ *       "id": 20,
+ *       "name": "Deleted Product",
+ *       "price": "3.00",
+ *       "currency": "USD",
+ *       "deletedAt": "2025-06-07T10:00:00.000Z",
+ *       "categories": [{ "id": 1, "name": "eletronics" }]
+ *     }
+ *   ],
+ *   "pagination": { "total": 1, "limit": 20, "page": 1, "hasMore": false, "nextCursor": null }
+ * }
+ */
+export const getTrashedProducts = async (req, res) => {
+  const page = await fetchProductPage(req.query, { trashed: true });
 
-  // If category filter is provided
-  if (categoryIds && categoryIds.length > 0) {
-    // Step 1: Find product-category pairs for filter
-    const rows = await db
-      .select({
-        productId: productCategories.productId,
-        categoryId: productCategories.categoryId,
-      })
-      .from(productCategories)
-      .where(inArray(productCategories.categoryId, categoryIds));
+  res.json({
+    message: "Trashed products fetched successfully",
+    status: "success",
+    ...page,
+  });
+};
 
-    // Group by productId and count how many of the required categories it has
-    const countMap = new Map();
+/**
+ * @function getProduct
+ * @description Fetches a single active product by ID or slug, with its categories, variants and images.
+ * A former slug answers with a 301 redirect to the current one.
+ * The version of the product is also sent as the ETag header, for If-Match on editProduct
+ * @param {Object} req - Express request object
+ * @param {string} req.params.idOrSlug - ID or slug of the product
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the product
+ * @throws {422} If idOrSlug is neither an ID nor a slug
+ * @throws {404} If the product does not exist or is trashed
+ * @example
+ *  Request:
+ *  GET /api/product/red-boots
+ *
+ *  Success response:
+ * {
+ *   "message": "Product fetched successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 20,
+ *     "name": "Red Boots",
+ *     "slug": "red-boots",
+ *     "price": "49.00",
+ *     "currency": "USD",
+ *     "description": "Waterproof leather boots in red",
+ *     "tags": ["winter"],
+ *     "stock": 7,
+ *     "version": 1718000000000,
+ *     "categories": [{ "id": 3, "name": "shoes" }],
+ *     "variants": [],
+ *     "images": []
+ *   }
+ * }
+ *
+ *  Request with a former slug:
+ *  GET /api/product/red-shoes
+ *
+ *  Response: 301 redirect to /api/product/red-boots
+ */
+export const getProduct = async (req, res) => {
+  const { idOrSlug } = req.params;
 
-    console.log("rows", rows);
+  const target = await resolveSlug(db, "product", idOrSlug);
 
-    for (const row of rows) {
-      if (!countMap.has(row.productId)) {
-        countMap.set(row.productId, new Set());
-      }
-      countMap.get(row.productId).add(row.categoryId);
-    }
+  if (target?.redirectTo) {
+    return res.redirect(
+      301,
+      redirectPath(req, `/api/product/${target.redirectTo}`)
+    );
+  }
 
-    console.log("countMap", countMap);
+  const product =
+    target &&
+    (await cachedQuery(
+      ["products", "categories"],
+      `products:detail:${target.id}`,
+      () => fetchProductDetail(db, target.id)
+    ));
 
-    console.log("map entries", Array.from(countMap.entries()));
+  if (!product) {
+    throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+  }
 
-    // Keep only products that matched *all* required categories
-    matchingProductIds = Array.from(countMap.entries())
-      .filter(([_, catSet]) => categoryIds.every((id) => catSet.has(id)))
-      .map(([productId]) => productId);
+  res.set("ETag", versionETag(product.version));
 
-    console.log("matchingProductIds", matchingProductIds);
+  res.json({
+    message: "Product fetched successfully",
+    status: "success",
+    data: product,
+  });
+};
 
-    // Return empty array if no products match all categories
-    if (matchingProductIds.length === 0) {
-      return res.json({
-        message: "No products found",
-        status: "success",
-        data: [],
-      });
-    }
+/**
+ * @function getCategoryProducts
+ * @description Fetches a page of the active products of a category given by ID or slug.
+ * Accepts the same filters, sort and pagination as getProducts, categoryIds is replaced by the category.
+ * A former slug answers with a 301 redirect to the current one, keeping the query string
+ * @param {Object} req - Express request object
+ * @param {string} req.params.idOrSlug - ID or slug of the category
+ * @param {Object} req.query - Query parameters, see getProducts
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the products of the category
+ * @throws {422} If idOrSlug is neither an ID nor a slug
+ * @throws {404} If the category does not exist
+ * @throws {422} If a query parameter is malformed
+ * @example
+ *  Request:
+ *  GET /api/category/female-clothing/products?includeDescendants=true&sort=price:asc
+ *
+ *  Success response:
+ * {
+ *   "message": "Category products fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     {
+ *       "id": 20,
+ *       "name": "Summer Dress",
+ *       "slug": "summer-dress",
+ *       "price": "29.00",
+ *       "currency": "USD",
+ *       "description": null,
+ *       "tags": [],
+ *       "stock": 3,
+ *       "categories": [{ "id": 4, "name": "female clothing" }],
+ *       "variants": [],
+ *       "images": []
+ *     }
+ *   ],
+ *   "pagination": { "total": 1, "limit": 20, "page": 1, "hasMore": false, "nextCursor": null }
+ * }
+ */
+export const getCategoryProducts = async (req, res) => {
+  const { idOrSlug } = req.params;
+
+  const target = await resolveSlug(db, "category", idOrSlug);
+
+  if (target?.redirectTo) {
+    return res.redirect(
+      301,
+      redirectPath(req, `/api/category/${target.redirectTo}/products`)
+    );
   }
 
-  // Step 2: Fetch all products (matching filter if applied) and ALL of their categories
-  let baseQuery = db
-    .select({
-      product: products,
-      category: categories,
-    })
-    .from(products)
-    .innerJoin(productCategories, eq(products.id, productCategories.productId))
-    .innerJoin(categories, eq(categories.id, productCategories.categoryId))
-    .orderBy(desc(products.createdAt));
+  const [category] = target
+    ? await db
+        .select({ id: categories.id })
+        .from(categories)
+        .where(eq(categories.id, target.id))
+    : [];
 
-  // Apply category filter if provided
-  if (categoryIds && categoryIds.length > 0) {
-    baseQuery = baseQuery.where(inArray(products.id, matchingProductIds));
+  if (!category) {
+    throw new AppError(404, "CATEGORY_NOT_FOUND", "Category not found");
   }
 
-  if (productNameSearch) {
-    baseQuery = baseQuery.where(ilike(products.name, `%${productNameSearch}%`));
+  const query = { ...req.query, categoryIds: String(category.id) };
+  const page = await cachedQuery(
+    ["products", "categories"],
+    `products:page:${JSON.stringify(query)}`,
+    () => fetchProductPage(query, { trashed: false })
+  );
+
+  res.json({
+    message: "Category products fetched successfully",
+    status: "success",
+    ...page,
+  });
+};
+
+/**
+ * @function getProductFacets
+ * @description Counts the products matching the getProducts filters, per category and per price bucket, for a filter sidebar.
+ * Each facet ignores its own filter, so the counts show what selecting another value would give:
+ * - categories ignore categoryIds and categoryMatch, and count direct assignments
+ * - price ignores minPrice and maxPrice
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Filters, see getProducts
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the total and the facets
+ * @throws {422} If a filter is malformed
+ * @example
+ *  Request:
+ *  GET /api/products/facets?name=boot&categoryIds=3&maxPrice=50
+ *
+ *  Success response:
+ * {
+ *   "message": "Product facets fetched successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "total": 4,
+ *     "categories": [
+ *       { "id": 1, "name": "female clothing", "parentId": null, "count": 2 },
+ *       { "id": 3, "name": "shoes", "parentId": null, "count": 6 }
+ *     ],
+ *     "price": {
+ *       "min": "12.00",
+ *       "max": "89.99",
+ *       "buckets": [
+ *         { "from": "0.00", "to": "20.00", "count": 3 },
+ *         { "from": "20.00", "to": "40.00", "count": 1 },
+ *         { "from": "40.00", "to": "60.00", "count": 0 },
+ *         { "from": "60.00", "to": "80.00", "count": 1 },
+ *         { "from": "80.00", "to": "100.00", "count": 1 }
+ *       ]
+ *     }
+ *   }
+ * }
+ */
+export const getProductFacets = async (req, res) => {
+  const { filters, errors } = parseProductFilters(req.query);
+
+  if (errors.length > 0) {
+    throw validationError(errors);
   }
 
-  const rows = await baseQuery;
+  const facets = await cachedQuery(
+    ["products", "categories"],
+    `products:facets:${JSON.stringify(req.query)}`,
+    async () => {
+      const [{ total }] = await db
+        .select({ total: count() })
+        .from(products)
+        .where(and(...buildProductFilterConditions(filters)));
+
+      const categoryFacet = await fetchCategoryFacet(
+        buildProductFilterConditions({ ...filters, categoryIds: [] })
+      );
+      const priceFacet = await fetchPriceFacet(
+        buildProductFilterConditions({
+          ...filters,
+          minPrice: null,
+          maxPrice: null,
+        })
+      );
+
+      return { total, categories: categoryFacet, price: priceFacet };
+    }
+  );
 
-  const newQuery = await db
+  res.json({
+    message: "Product facets fetched successfully",
+    status: "success",
+    data: facets,
+  });
+};
+
+/**
+ * @function fetchSearchPage
+ * @description Fetches one page of search matches with their categories and highlights, see searchProducts
+ * @param {SQL} query - tsquery expression
+ * @param {Array} conditions - Filter and search conditions
+ * @param {Object} pagination
+ * @param {number} pagination.limit - Page size
+ * @param {number} pagination.page - 1-based page number
+ * @returns {Promise<{total: number, data: Object[]}>} Number of matches and the matches of the page
+ */
+const fetchSearchPage = async (query, conditions, { limit, page }) => {
+  const [{ total }] = await db
+    .select({ total: count() })
+    .from(products)
+    .where(and(...conditions));
+
+  const rank = searchRank(query);
+  const matches = await db
     .select({
-      product: products,
-      // category: categories,
-      productCategory: productCategories,
+      id: products.id,
+      name: products.name,
+      price: products.price,
+      currency: products.currency,
+      description: products.description,
+      tags: products.tags,
+      rank,
+      nameHighlight: searchHeadline(products.name, query),
+      descriptionHighlight: searchHeadline(
+        products.description,
+        query,
+        'MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+      ),
     })
     .from(products)
-    .innerJoin(productCategories, eq(products.id, productCategories.productId))
-    // .innerJoin(categories, eq(categories.id, productCategories.categoryId))
-    .orderBy(desc(products.createdAt));
+    .where(and(...conditions))
+    .orderBy(desc(rank), asc(products.id))
+    .limit(limit)
+    .offset((page - 1) * limit);
 
-  // Step 3: Group products and include all their categories
-  let productMap = new Map();
+  const categoriesByProduct = await fetchCategoriesByProduct(
+    db,
+    matches.map((product) => product.id)
+  );
 
-  // console.log("rows", rows);
+  return {
+    total,
+    data: matches.map(
+      ({ nameHighlight, descriptionHighlight, ...product }) => ({
+        ...product,
+        categories: categoriesByProduct.get(product.id) ?? [],
+        highlights: {
+          name: toHighlightHtml(nameHighlight),
+          description: toHighlightHtml(descriptionHighlight),
+        },
+      })
+    ),
+  };
+};
 
-  for (const row of rows) {
-    const product = row.product;
-    const category = row.category;
+/**
+ * @function searchProducts
+ * @description Full-text search over active products, most relevant first.
+ * - Every word of q has to match, as a prefix ("boo" finds "boots")
+ * - Matches the name, the tags, the description and the category names, in that order of weight
+ * - Highlights are HTML-escaped with the matched words in <mark> tags, the description is cut to its best fragments
+ * Accepts the same filters as getProducts, pagination is page based
+ * @param {Object} req - Express request object
+ * @param {string} req.query.q - Search text
+ * @param {number} [req.query.limit] - Page size (default 20, max 100)
+ * @param {number} [req.query.page] - 1-based page number
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the ranked products
+ * @throws {422} If q is missing, or a pagination parameter or a filter is invalid
+ * @example
+ *  Request:
+ *  GET /api/search?q=red boo&limit=1
+ *
+ *  Success response:
+ * {
+ *   "message": "Search completed successfully",
+ *   "status": "success",
+ *   "data": [
+ *     {
+ *       "id": 20,
+ *       "name": "Red Boots",
+ *       "price": "49.00",
+ *       "currency": "USD",
+ *       "description": "Waterproof leather boots in red",
+ *       "tags": ["winter"],
+ *       "categories": [{ "id": 3, "name": "shoes" }],
+ *       "rank": 0.42,
+ *       "highlights": {
+ *         "name": "<mark>Red</mark> <mark>Boots</mark>",
+ *         "description": "Waterproof leather <mark>boots</mark> in <mark>red</mark>"
+ *       }
+ *     }
+ *   ],
+ *   "pagination": { "total": 3, "limit": 1, "page": 1, "hasMore": true }
+ * }
+ */
+export const searchProducts = async (req, res) => {
+  const { q, limit = DEFAULT_PAGE_SIZE, page = 1 } = req.query;
+  const { filters, errors } = parseProductFilters(req.query);
 
-    if (!productMap.has(product.id)) {
-      productMap.set(product.id, {
-        id: product.id,
-        name: product.name,
-        price: product.price,
-        categories: [],
-      });
-    }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const prefixQuery = toPrefixQuery(q);
+  const pagination = { total: 0, limit, page, hasMore: false };
 
-    productMap.get(product.id).categories.push({
-      id: category.id,
-      name: reformatCategoryNameResponse(category.name),
+  // Nothing to search for, e.g. q only had punctuation
+  if (!prefixQuery) {
+    return res.json({
+      message: "Search completed successfully",
+      status: "success",
+      data: [],
+      pagination,
     });
   }
 
-  // console.log("productMap", productMap.values());
+  const query = sql`to_tsquery('english', ${prefixQuery})`;
+  const conditions = [
+    ...buildProductFilterConditions(filters),
+    searchCondition(query),
+  ];
+
+  const { total, data } = await cachedQuery(
+    ["products", "categories"],
+    `products:search:${JSON.stringify(req.query)}`,
+    () => fetchSearchPage(query, conditions, { limit, page })
+  );
 
-  // Return success response with products data
   res.json({
-    message: "Products fetched successfully",
+    message: "Search completed successfully",
     status: "success",
-    data: Array.from(productMap.values()),
+    data,
+    pagination: { ...pagination, total, hasMore: page * limit < total },
   });
 };
 
 /**
  * @function addProduct
- * @description Adds a new product to the database with associated categories
+ * @description Adds a new product to the database with associated categories, recorded in the audit log.
+ * The product gets a unique slug generated from its name
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {string} req.body.name - Name of the product
- * @param {number} req.body.price - Price of the product
+ * @param {string} req.body.price - Price of the product as a decimal string (a number is accepted too), at most 2 decimal places
+ * @param {string} [req.body.currency] - ISO 4217 currency code of the price, defaults to USD
+ * @param {string} [req.body.description] - Description of the product
+ * @param {string[]} [req.body.tags] - Free-form tags, stored lowercase
  * @param {number[]} req.body.categoryIds - Array of category IDs to associate with the product
+ * @param {Object[]} [req.body.variants] - Variants of the product, { sku, options, price, stock }, price null uses the product price
  * @returns {Object} JSON response with success/error message and product data
+ * @throws {422} If name, price or categoryIds are missing or invalid
  * @throws {400} If product already exists
- * @throws {400} If no valid categories are found
+ * @throws {400} If a category does not exist
+ * @throws {400} If a variant SKU is already used by another product
  * @example
  * // Request body:
  * {
  *   "name": "New Product",
- *   "price": 19.99,
- *   "categoryIds": [1, 2]
+ *   "price": "19.99",
+ *   "currency": "EUR",
+ *   "description": "Lightweight cotton shirt",
+ *   "tags": ["summer", "cotton"],
+ *   "categoryIds": [1, 2],
+ *   "variants": [
+ *     { "sku": "NP-M-RED", "options": { "size": "M", "color": "red" }, "stock": 12 },
+ *     { "sku": "NP-XL-RED", "options": { "size": "XL", "color": "red" }, "price": "21.99", "stock": 3 }
+ *   ]
  * }
  *
  * // Success response:
@@ -203,42 +850,38 @@ export const getProducts = async (req, res) => {
  *   "data": {
  *     "id": 123,
  *     "name": "New Product",
- *     "price": 19.99,
+ *     "slug": "new-product",
+ *     "price": "19.99",
+ *     "currency": "EUR",
+ *     "description": "Lightweight cotton shirt",
+ *     "tags": ["summer", "cotton"],
  *     "categories": [
  *       { "id": 1, "name": "category one" },
  *       { "id": 2, "name": "category two" }
+ *     ],
+ *     "variants": [
+ *       { "id": 1, "sku": "NP-M-RED", "options": { "size": "M", "color": "red" }, "price": null, "stock": 12 },
+ *       { "id": 2, "sku": "NP-XL-RED", "options": { "size": "XL", "color": "red" }, "price": "21.99", "stock": 3 }
  *     ]
  *   }
  * }
  */
 export const addProduct = async (req, res) => {
-  const { name, price, categoryIds } = req.body;
+  const { name, price, currency, description, tags, categoryIds, variants } =
+    req.body;
 
-  // Check if product with same name already exists
+  // Check if an active product with same name already exists
   const existingProduct = await db
     .select()
     .from(products)
-    .where(eq(products.name, name));
+    .where(and(eq(products.name, name), isNull(products.deletedAt)));
 
   if (existingProduct.length > 0) {
-    return res.status(400).json({
-      message: "Product already exists",
-      status: "error",
-    });
+    throw new AppError(400, "PRODUCT_ALREADY_EXISTS", "Product already exists");
   }
 
   // Validate that provided category IDs exist in database
-  const existingCategories = await db
-    .select({ id: categories.id })
-    .from(categories)
-    .where(inArray(categories.id, categoryIds));
-
-  if (existingCategories.length === 0) {
-    return res.status(400).json({
-      message: "Category not found",
-      status: "error",
-    });
-  }
+  await assertCategoriesExist(db, categoryIds);
 
   /*
 
@@ -253,7 +896,11 @@ export const addProduct = async (req, res) => {
       .insert(products)
       .values({
         name,
+        slug: await generateUniqueSlug(tx, "product", name),
         price,
+        currency,
+        description,
+        ...(tags && { tags: normalizeTags(tags) }),
       })
       .returning();
 
@@ -265,7 +912,28 @@ export const addProduct = async (req, res) => {
       }))
     );
 
-    return insertedProduct;
+    if (variants) {
+      await syncProductVariants(tx, insertedProduct.id, variants, {
+        userId: req.user?.id,
+      });
+    }
+
+    await recordAudit(tx, {
+      entityType: "product",
+      entityId: insertedProduct.id,
+      action: "create",
+      userId: req.user?.id,
+      before: null,
+      after: await snapshotProduct(tx, insertedProduct.id),
+    });
+
+    // the stock of the variants is recorded after the insert
+    const [savedProduct] = await tx
+      .select()
+      .from(products)
+      .where(eq(products.id, insertedProduct.id));
+
+    return savedProduct;
   });
 
   // Fetch the newly created product with its associated categories
@@ -279,7 +947,7 @@ export const addProduct = async (req, res) => {
     .innerJoin(categories, eq(categories.id, productCategories.categoryId))
     .where(eq(productCategories.productId, newProduct.id));
 
-  setAuthCookies(res, { id: newProduct.id });
+  const variantsByProduct = await fetchVariantsByProduct(db, [newProduct.id]);
 
   // Return success response with product data
   res.json({
@@ -293,29 +961,44 @@ export const addProduct = async (req, res) => {
           name: reformatCategoryNameResponse(row.category.name),
         };
       }),
+      variants: variantsByProduct.get(newProduct.id) ?? [],
     },
   });
 };
 
 /**
  * @function editProduct
- * @description Updates an existing product and its category associations
+ * @description Updates an existing product and its category associations, recorded in the audit log.
+ * Renaming keeps the slug, a new slug keeps the former one as a redirect.
+ * With an If-Match header or a version field the edit only goes through while the product is
+ * still at that version, see helpers/productVersion.js. The response carries the new version
  * @param {Object} req.body - Request body containing product details
  * @param {number} req.body.id - ID of the product to update
+ * @param {number} req.body.version - Version the edit is based on, ignored when If-Match is sent (optional)
  * @param {string} req.body.name - New name for the product (optional)
- * @param {number} req.body.price - New price for the product (optional)
+ * @param {string} req.body.slug - New slug for the product (optional)
+ * @param {string} req.body.price - New price for the product as a decimal string (optional)
+ * @param {string} req.body.currency - New ISO 4217 currency code of the price (optional)
+ * @param {string|null} req.body.description - New description, null removes it (optional)
+ * @param {string[]} req.body.tags - New tags, replacing the current ones (optional)
  * @param {number[]} req.body.categoryIds - Array of category IDs to associate with the product
+ * @param {Object[]} req.body.variants - Complete list of variants (optional), matched by SKU:
+ * new SKUs are created, missing ones deleted, stock of existing variants is kept unless given
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with updated product data or error message
+ * @throws {422} If id is missing or a field is invalid
  * @throws {404} If product not found
- * @throws {400} If no valid categories are found
+ * @throws {400} If a category does not exist
+ * @throws {400} If another product uses the slug, now or formerly
+ * @throws {409} If the product changed since the given version, stock movements included, the response has its current state
  *
  * @example
  *  Request body example
  * {
  *   "id": 1,
+ *   "version": 1718000000000,
  *   "name": "Updated Product",
- *   "price": 19.99,
+ *   "price": "19.99",
  *   "categoryIds": [2, 3]
  * }
  *
@@ -327,7 +1010,10 @@ export const addProduct = async (req, res) => {
  *   "data": {
  *     "id": 1,
  *     "name": "Updated Product",
- *     "price": 19.99,
+ *     "slug": "new-product",
+ *     "price": "19.99",
+ *     "currency": "USD",
+ *     "version": 1718000004321,
  *     "categories": [
  *       { "id": 2, "name": "Category 2" },
  *       { "id": 3, "name": "Category 3" }
@@ -339,23 +1025,42 @@ export const addProduct = async (req, res) => {
  *  Error response
  * {
  *   "message": "Product not found",
- *   "status": "error"
+ *   "status": "error",
+ *   "code": "PRODUCT_NOT_FOUND"
+ * }
+ *
+ * @example
+ *  Error response (changed by someone else)
+ * {
+ *   "message": "The product was changed since version 1718000000000, review its current state and retry",
+ *   "status": "error",
+ *   "code": "PRODUCT_VERSION_CONFLICT",
+ *   "data": { "id": 1, "name": "Other Name", "version": 1718000002000, ... }
  * }
  */
 
 export const editProduct = async (req, res) => {
-  const { id, name, price, categoryIds } = req.body;
+  const {
+    id,
+    name,
+    slug,
+    price,
+    currency,
+    description,
+    tags,
+    categoryIds,
+    variants,
+  } = req.body;
+  const expectedVersions = readExpectedVersions(req);
 
+  // Trashed products have to be restored before they can be edited
   const existingProduct = await db
     .select()
     .from(products)
-    .where(eq(products.id, id));
+    .where(and(eq(products.id, id), isNull(products.deletedAt)));
 
   if (existingProduct.length === 0) {
-    return res.status(404).json({
-      message: "Product not found",
-      status: "error",
-    });
+    throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
   }
 
   /*
@@ -366,45 +1071,88 @@ export const editProduct = async (req, res) => {
 
   */
   const updatedProduct = await db.transaction(async (tx) => {
-    // 1. Update the product fields
-    const [product] = await tx
-      .update(products)
-      .set({
-        ...(name && { name }),
-        ...(price && { price: Number(price) }),
-        updatedAt: new Date(),
-      })
-      .where(eq(products.id, Number(id)))
-      .returning();
+    // Locked until the transaction ends, so no other change lands between the version check and the update
+    const [current] = await tx
+      .select({ updatedAt: products.updatedAt })
+      .from(products)
+      .where(and(eq(products.id, id), isNull(products.deletedAt)))
+      .for("update");
 
-    // 2. If categoryIds are provided, update categories
-    if (Array.isArray(categoryIds) && categoryIds.length > 0) {
-      // Validate categories
-      const validCategories = await tx
-        .select({ id: categories.id })
-        .from(categories)
-        .where(inArray(categories.id, categoryIds));
+    if (!current) {
+      throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+    }
+
+    if (
+      expectedVersions &&
+      !expectedVersions.includes(productVersion(current.updatedAt))
+    ) {
+      throw new AppError(
+        409,
+        "PRODUCT_VERSION_CONFLICT",
+        `The product was changed since version ${expectedVersions.join(
+          ", "
+        )}, review its current state and retry`,
+        { data: await fetchProductDetail(tx, id) }
+      );
+    }
 
-      const validCategoryIds = validCategories.map((cat) => cat.id);
+    const before = await snapshotProduct(tx, id);
+
+    if (slug) {
+      await changeSlug(tx, "product", id, slug);
+    }
+
+    // 1. If categoryIds are provided, update categories
+    if (categoryIds) {
+      // Validate categories, before the current ones are removed
+      await assertCategoriesExist(tx, categoryIds);
 
       // Remove old relations
       await tx
         .delete(productCategories)
-        .where(eq(productCategories.productId, Number(id)));
+        .where(eq(productCategories.productId, id));
 
       // Add new relations
       await tx.insert(productCategories).values(
-        validCategoryIds.map((categoryId) => ({
-          productId: Number(id),
+        categoryIds.map((categoryId) => ({
+          productId: id,
           categoryId,
         }))
       );
     }
 
+    // 2. If variants are provided, make them match the list
+    if (variants) {
+      await syncProductVariants(tx, id, variants, { userId: req.user?.id });
+    }
+
+    // 3. Update the product fields, last so the returned stock and version include the variant changes
+    const [product] = await tx
+      .update(products)
+      .set({
+        ...(name && { name }),
+        ...(price !== undefined && { price }),
+        ...(currency && { currency }),
+        ...(description !== undefined && { description }),
+        ...(tags && { tags: normalizeTags(tags) }),
+        updatedAt: nextUpdatedAt(),
+      })
+      .where(eq(products.id, id))
+      .returning();
+
+    await recordAudit(tx, {
+      entityType: "product",
+      entityId: id,
+      action: "update",
+      userId: req.user?.id,
+      before,
+      after: await snapshotProduct(tx, id),
+    });
+
     return product;
   });
 
-  // 3. Fetch updated categories
+  // 4. Fetch updated categories and variants
   const productWithCategories = await db
     .select({
       product: products,
@@ -413,32 +1161,41 @@ export const editProduct = async (req, res) => {
     .from(productCategories)
     .innerJoin(products, eq(products.id, productCategories.productId))
     .innerJoin(categories, eq(categories.id, productCategories.categoryId))
-    .where(eq(productCategories.productId, Number(id)));
+    .where(eq(productCategories.productId, id));
+
+  const variantsByProduct = await fetchVariantsByProduct(db, [id]);
+  const version = productVersion(updatedProduct.updatedAt);
+
+  res.set("ETag", versionETag(version));
 
   res.json({
     message: "Product updated successfully",
     status: "success",
     data: {
       ...updatedProduct,
+      version,
       categories: productWithCategories.map((row) => {
         return {
           id: row.category.id,
           name: reformatCategoryNameResponse(row.category.name),
         };
       }),
+      variants: variantsByProduct.get(id) ?? [],
     },
   });
 };
 
 /**
  * @function deleteProduct
- * @description Deletes a product from the database by ID
+ * @description Moves a product to the trash. The product and its category associations are kept,
+ * so it can be restored with restoreProduct or permanently removed with purgeProduct
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
  * @param {string} req.query.id - ID of the product to delete
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with success/error message and deleted product data
- * @throws {404} If product with given ID is not found
+ * @throws {422} If id is not a positive integer
+ * @throws {404} If no active product with given ID is found
  * @example
  *  Request:
  *  DELETE /api/product?id=123
@@ -450,39 +1207,569 @@ export const editProduct = async (req, res) => {
  *   "data": [{
  *     "id": 123,
  *     "name": "Deleted Product",
- *     "price": 19.99
+ *     "price": "19.99",
+ *     "currency": "USD",
+ *     "deletedAt": "2025-06-07T10:00:00.000Z"
  *   }]
  * }
  *
  *  Error response:
  * {
  *   "message": "Product not found",
- *   "status": "error"
+ *   "status": "error",
+ *   "code": "PRODUCT_NOT_FOUND"
  * }
  */
 export const deleteProduct = async (req, res) => {
   const { id } = req.query;
 
-  const existing = await db
+  const deletedProduct = await db.transaction(async (tx) => {
+    const before = await snapshotProduct(tx, id);
+
+    const deleted = await tx
+      .update(products)
+      .set({ deletedAt: new Date() })
+      .where(and(eq(products.id, id), isNull(products.deletedAt)))
+      .returning();
+
+    if (deleted.length === 0) {
+      throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+    }
+
+    await recordAudit(tx, {
+      entityType: "product",
+      entityId: id,
+      action: "delete",
+      userId: req.user?.id,
+      before,
+      after: await snapshotProduct(tx, id),
+    });
+
+    return deleted;
+  });
+
+  res.json({
+    message: "Product deleted successfully",
+    status: "success",
+    data: deletedProduct,
+  });
+};
+
+/**
+ * @function restoreProduct
+ * @description Restores a product from the trash, together with its original category associations
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the trashed product
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the restored product and its categories
+ * @throws {422} If id is not a positive integer
+ * @throws {404} If the product is not in the trash
+ * @throws {409} If an active product already uses the same name
+ * @example
+ *  Request:
+ *  POST /api/product/123/restore
+ *
+ *  Success response:
+ * {
+ *   "message": "Product restored successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 123,
+ *     "name": "Deleted Product",
+ *     "price": "19.99",
+ *     "currency": "USD",
+ *     "deletedAt": null,
+ *     "categories": [{ "id": 1, "name": "category one" }]
+ *   }
+ * }
+ */
+export const restoreProduct = async (req, res) => {
+  const { id } = req.params;
+
+  const [trashedProduct] = await db
     .select()
     .from(products)
-    .where(eq(products.id, Number(id)));
+    .where(and(eq(products.id, id), isNotNull(products.deletedAt)));
+
+  if (!trashedProduct) {
+    throw new AppError(
+      404,
+      "PRODUCT_NOT_FOUND",
+      "Product not found in the trash"
+    );
+  }
+
+  const conflictingProduct = await db
+    .select({ id: products.id })
+    .from(products)
+    .where(
+      and(eq(products.name, trashedProduct.name), isNull(products.deletedAt))
+    );
+
+  if (conflictingProduct.length > 0) {
+    throw new AppError(
+      409,
+      "PRODUCT_NAME_TAKEN",
+      "Another product with the same name exists, rename it before restoring this one"
+    );
+  }
 
-  if (existing.length === 0) {
-    return res.status(404).json({
-      message: "Product not found",
-      status: "error",
+  const restoredProduct = await db.transaction(async (tx) => {
+    const before = await snapshotProduct(tx, id);
+
+    const [restored] = await tx
+      .update(products)
+      .set({ deletedAt: null, updatedAt: nextUpdatedAt() })
+      .where(eq(products.id, id))
+      .returning();
+
+    await recordAudit(tx, {
+      entityType: "product",
+      entityId: id,
+      action: "restore",
+      userId: req.user?.id,
+      before,
+      after: await snapshotProduct(tx, id),
+    });
+
+    return restored;
+  });
+
+  // Category associations are untouched by the soft delete
+  const productWithCategories = await db
+    .select({ category: categories })
+    .from(productCategories)
+    .innerJoin(categories, eq(categories.id, productCategories.categoryId))
+    .where(eq(productCategories.productId, id));
+
+  const variantsByProduct = await fetchVariantsByProduct(db, [id]);
+
+  res.json({
+    message: "Product restored successfully",
+    status: "success",
+    data: {
+      ...restoredProduct,
+      categories: productWithCategories.map((row) => ({
+        id: row.category.id,
+        name: reformatCategoryNameResponse(row.category.name),
+      })),
+      variants: variantsByProduct.get(id) ?? [],
+    },
+  });
+};
+
+/**
+ * @function purgeProduct
+ * @description Permanently deletes a trashed product and its category associations. Admin only
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the trashed product
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the purged product
+ * @throws {422} If id is not a positive integer
+ * @throws {404} If the product is not in the trash
+ * @example
+ *  Request:
+ *  DELETE /api/product/123/purge
+ *
+ *  Success response:
+ * {
+ *   "message": "Product permanently deleted",
+ *   "status": "success",
+ *   "data": [{
+ *     "id": 123,
+ *     "name": "Deleted Product",
+ *     "price": "19.99",
+ *     "currency": "USD",
+ *     "deletedAt": "2025-06-07T10:00:00.000Z"
+ *   }]
+ * }
+ */
+export const purgeProduct = async (req, res) => {
+  const { id } = req.params;
+
+  const { purgedProduct, imageKeys } = await db.transaction(async (tx) => {
+    const before = await snapshotProduct(tx, id);
+    const keys = await fetchImageKeys(tx, id);
+
+    // Only trashed products can be purged, product_categories, variant and image rows cascade
+    const purged = await tx
+      .delete(products)
+      .where(and(eq(products.id, id), isNotNull(products.deletedAt)))
+      .returning();
+
+    if (purged.length === 0) {
+      throw new AppError(
+        404,
+        "PRODUCT_NOT_FOUND",
+        "Product not found in the trash"
+      );
+    }
+
+    await deleteSlugRedirects(tx, "product", id);
+
+    await recordAudit(tx, {
+      entityType: "product",
+      entityId: id,
+      action: "purge",
+      userId: req.user?.id,
+      before,
+      after: null,
     });
+
+    return { purgedProduct: purged, imageKeys: keys };
+  });
+
+  // The files are only removed once the rows are gone for good
+  await removeImageFiles(imageKeys);
+
+  res.json({
+    message: "Product permanently deleted",
+    status: "success",
+    data: purgedProduct,
+  });
+};
+
+/**
+ * @function getProductHistory
+ * @description Fetches the change timeline of a product from the audit log, oldest first.
+ * Also works for purged products, whose history is kept
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the audit entries of the product
+ * @throws {422} If id is not a positive integer
+ * @throws {404} If the product has no history
+ * @example
+ *  Request:
+ *  GET /api/product/123/history
+ *
+ *  Success response:
+ * {
+ *   "message": "Product history fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     {
+ *       "id": 7,
+ *       "action": "update",
+ *       "createdAt": "2025-06-07T10:00:00.000Z",
+ *       "user": { "id": 2, "email": "editor@example.com" },
+ *       "before": { "name": "New Product", "price": "19.00", "currency": "USD", "deletedAt": null, "categoryIds": [1] },
+ *       "after": { "name": "New Product", "price": "17.00", "currency": "USD", "deletedAt": null, "categoryIds": [1, 2] },
+ *       "changes": {
+ *         "price": { "from": "19.00", "to": "17.00" },
+ *         "categoryIds": { "from": [1], "to": [1, 2] }
+ *       }
+ *     }
+ *   ]
+ * }
+ */
+export const getProductHistory = async (req, res) => {
+  const { id } = req.params;
+
+  const entries = await db
+    .select({
+      id: auditLogs.id,
+      action: auditLogs.action,
+      createdAt: auditLogs.createdAt,
+      userId: users.id,
+      userEmail: users.email,
+      before: auditLogs.before,
+      after: auditLogs.after,
+    })
+    .from(auditLogs)
+    .leftJoin(users, eq(users.id, auditLogs.userId))
+    .where(and(eq(auditLogs.entityType, "product"), eq(auditLogs.entityId, id)))
+    .orderBy(asc(auditLogs.createdAt), asc(auditLogs.id));
+
+  if (entries.length === 0) {
+    throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+  }
+
+  res.json({
+    message: "Product history fetched successfully",
+    status: "success",
+    data: entries.map((entry) => ({
+      id: entry.id,
+      action: entry.action,
+      createdAt: entry.createdAt,
+      user: entry.userId ? { id: entry.userId, email: entry.userEmail } : null,
+      before: entry.before,
+      after: entry.after,
+      changes: diffSnapshots(entry.before, entry.after),
+    })),
+  });
+};
+
+/**
+ * @function importProducts
+ * @description Imports products from CSV or JSON, creating new products and updating existing ones by name.
+ * - The whole import runs in one transaction, if any row fails nothing is written
+ * - With dryRun=true the import is rolled back and only the report is returned
+ * - With createMissingCategories=true unknown category names are created as top level categories
+ * @param {Object} req - Express request object
+ * @param {string|Object[]} req.body - CSV text (Content-Type: text/csv) or JSON array of { name, price, categories }
+ * @param {boolean} [req.query.dryRun] - "true" to only report what the import would do
+ * @param {boolean} [req.query.createMissingCategories] - "true" to create unknown categories
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a summary and the outcome of every row
+ * @throws {400} If the body is not a non-empty CSV or JSON array, or has too many rows
+ * @throws {422} If a row is invalid and dryRun is not set, the response carries the report
+ * @example
+ *  Request:
+ *  POST /api/products/import?dryRun=true
+ *  Content-Type: text/csv
+ *
+ * name,price,categories
+ * Boot,10,Shoes|Female Clothing
+ * Hat,-1,Hats
+ *
+ *  Success response:
+ * {
+ *   "message": "Dry run completed, nothing was imported",
+ *   "status": "success",
+ *   "data": {
+ *     "dryRun": true,
+ *     "summary": { "created": 1, "updated": 0, "skipped": 0, "error": 1 },
+ *     "createdCategories": [],
+ *     "rows": [
+ *       { "row": 1, "name": "Boot", "status": "created", "id": 21 },
+ *       {
+ *         "row": 2,
+ *         "name": "Hat",
+ *         "status": "error",
+ *         "errors": [{ "field": "price", "message": "price must be at least 0" }]
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+export const importProducts = async (req, res) => {
+  const { dryRun = false, createMissingCategories = false } = req.query;
+
+  const { rows, error } = readImportRows(req);
+
+  if (error) {
+    throw new AppError(400, "INVALID_IMPORT", error);
   }
 
-  const deletedProduct = await db
-    .delete(products)
-    .where(eq(products.id, id))
-    .returning();
+  let report;
+
+  try {
+    await db.transaction(async (tx) => {
+      report = await importProductRows(tx, rows, {
+        createMissingCategories,
+        userId: req.user?.id,
+      });
+
+      const hasErrors = report.rows.some((row) => row.status === "error");
+      if (dryRun || hasErrors) {
+        tx.rollback();
+      }
+    });
+  } catch (err) {
+    // rollback() throws to abort the transaction, the report is still complete
+    if (!(err instanceof TransactionRollbackError)) throw err;
+  }
+
+  const summary = { created: 0, updated: 0, skipped: 0, error: 0 };
+  for (const row of report.rows) {
+    summary[row.status] += 1;
+  }
+
+  const data = { dryRun, summary, ...report };
+
+  if (summary.error > 0 && !dryRun) {
+    throw new AppError(
+      422,
+      "IMPORT_FAILED",
+      `${summary.error} row(s) are invalid, nothing was imported`,
+      { data }
+    );
+  }
 
   res.json({
-    message: "Product deleted successfully",
+    message: dryRun
+      ? "Dry run completed, nothing was imported"
+      : "Products imported successfully",
     status: "success",
-    data: deletedProduct,
+    data,
+  });
+};
+
+/**
+ * @function exportProducts
+ * @description Streams the whole catalog, or the part matching the filters, as a file download.
+ * - Accepts the same filters and sort as getProducts, pagination parameters are ignored
+ * - Products are read in batches of EXPORT_BATCH_SIZE and written as they arrive, so the catalog is never held in memory
+ * - Category names are human-readable, the file can be imported again through POST /api/products/import
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.format] - "csv" (default), "json" or "ndjson"
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Streams the products in the requested format
+ * @throws {422} If the format is not supported
+ * @throws {422} If a filter or the sort is malformed
+ * @example
+ *  Request:
+ *  GET /api/products/export?format=csv&categoryIds=[1]
+ *
+ *  Success response (Content-Disposition: attachment; filename="products.csv"):
+ * id,name,price,currency,categories
+ * 21,"Boot, black",10.00,USD,shoes|female clothing
+ * 22,Hat,5.50,USD,hats
+ */
+export const exportProducts = async (req, res) => {
+  const { format = "csv" } = req.query;
+
+  const sort = parseSort(req.query.sort);
+  const { filters, errors: filterErrors } = parseProductFilters(req.query);
+
+  const errors = [sort.error, ...filterErrors].filter(Boolean);
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const conditions = buildProductFilterConditions(filters);
+  const exportFormat = EXPORT_FORMATS[format];
+
+  res.set({
+    "Content-Type": exportFormat.contentType,
+    "Content-Disposition": `attachment; filename="products.${format}"`,
+  });
+
+  await writeChunk(res, exportFormat.header);
+
+  /*
+
+  keyset batches instead of offsets, every batch continues after the last product
+  of the previous one, so each product is exported once even while the catalog changes
+
+  */
+  let cursor = null;
+  let index = 0;
+
+  while (!res.destroyed) {
+    const batch = await db
+      .select({
+        id: products.id,
+        name: products.name,
+        price: products.price,
+        currency: products.currency,
+        sortValue: sort.cursorValue,
+      })
+      .from(products)
+      .where(and(...conditions, cursor ? sort.after(cursor) : undefined))
+      .orderBy(...sort.orderBy)
+      .limit(EXPORT_BATCH_SIZE);
+
+    if (batch.length === 0) break;
+
+    const categoriesByProduct = await fetchCategoriesByProduct(
+      db,
+      batch.map((product) => product.id)
+    );
+
+    const chunk = batch
+      .map((product) =>
+        exportFormat.formatProduct(
+          {
+            id: product.id,
+            name: product.name,
+            price: product.price,
+            currency: product.currency,
+            categories: (categoriesByProduct.get(product.id) ?? []).map(
+              (category) => category.name
+            ),
+          },
+          index++
+        )
+      )
+      .join("");
+
+    await writeChunk(res, chunk);
+
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+
+    const lastProduct = batch[batch.length - 1];
+    cursor = { value: lastProduct.sortValue, id: lastProduct.id };
+  }
+
+  res.end(exportFormat.footer);
+};
+
+/**
+ * @function bulkUpdateProducts
+ * @description Applies a list of operations (set price, adjust price by a percentage,
+ * add or remove categories, delete) to sets of products in a single transaction.
+ * If any operation fails for any product, nothing is changed.
+ * @param {Object} req - Express request object
+ * @param {Object[]} req.body.operations - Operations applied in order, see applyBulkOperations
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a summary and one result per operation and product
+ * @throws {422} If operations is missing or empty
+ * @throws {422} If an operation is invalid or fails for a product, the response carries the results
+ * @example
+ *  Request:
+ *  POST /api/products/bulk
+ * {
+ *   "operations": [
+ *     { "type": "adjustPrice", "productIds": [1, 2], "percent": -10 },
+ *     { "type": "addCategories", "productIds": [1, 2], "categoryIds": [7] }
+ *   ]
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Bulk operations applied successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "summary": { "updated": 4, "deleted": 0, "unchanged": 0, "error": 0 },
+ *     "results": [
+ *       { "operation": 0, "productId": 1, "status": "updated", "changes": { "price": { "from": "20.00", "to": "18.00" } } },
+ *       { "operation": 0, "productId": 2, "status": "updated", "changes": { "price": { "from": "9.99", "to": "8.99" } } },
+ *       { "operation": 1, "productId": 1, "status": "updated", "changes": { "categoryIds": { "from": [1], "to": [1, 7] } } },
+ *       { "operation": 1, "productId": 2, "status": "updated", "changes": { "categoryIds": { "from": [3], "to": [3, 7] } } }
+ *     ]
+ *   }
+ * }
+ */
+export const bulkUpdateProducts = async (req, res) => {
+  const { operations } = req.body;
+
+  let results;
+
+  try {
+    await db.transaction(async (tx) => {
+      results = await applyBulkOperations(tx, operations, {
+        userId: req.user?.id,
+      });
+
+      if (results.some((result) => result.status === "error")) {
+        tx.rollback();
+      }
+    });
+  } catch (err) {
+    // rollback() throws to abort the transaction, the results are still complete
+    if (!(err instanceof TransactionRollbackError)) throw err;
+  }
+
+  const summary = { updated: 0, deleted: 0, unchanged: 0, error: 0 };
+  for (const result of results) {
+    summary[result.status] += 1;
+  }
+
+  if (summary.error > 0) {
+    throw new AppError(
+      422,
+      "BULK_OPERATIONS_FAILED",
+      `${summary.error} operation(s) failed, nothing was changed`,
+      { data: { summary, results } }
+    );
+  }
+
+  res.json({
+    message: "Bulk operations applied successfully",
+    status: "success",
+    data: { summary, results },
   });
 };
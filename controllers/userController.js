@@ -0,0 +1,65 @@
+import { eq } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { users } from "../database/schema/user.js";
+import { toUserResponse } from "./authController.js";
+import { AppError } from "../helpers/errors.js";
+
+/**
+ * @function assignUserRole
+ * @description Changes the role of a user. Admin only.
+ * The user gets the new permissions with their next access token, at the latest after a refresh.
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - ID of the user
+ * @param {string} req.body.role - New role, one of admin, editor, viewer
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user or error message
+ * @throws {422} If the ID or role is invalid
+ * @throws {400} If admins try to change their own role
+ * @throws {404} If user not found
+ * @example
+ *  Request:
+ *  PUT /api/admin/users/2/role
+ * {
+ *   "role": "editor"
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Role assigned successfully",
+ *   "status": "success",
+ *   "data": {
+ *     "id": 2,
+ *     "email": "editor@example.com",
+ *     "role": "editor"
+ *   }
+ * }
+ */
+export const assignUserRole = async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Keeps admins from locking themselves out
+  if (id === req.user.id) {
+    throw new AppError(
+      400,
+      "CANNOT_CHANGE_OWN_ROLE",
+      "You cannot change your own role"
+    );
+  }
+
+  const [user] = await db
+    .update(users)
+    .set({ role, updatedAt: new Date() })
+    .where(eq(users.id, id))
+    .returning();
+
+  if (!user) {
+    throw new AppError(404, "USER_NOT_FOUND", "User not found");
+  }
+
+  res.json({
+    message: "Role assigned successfully",
+    status: "success",
+    data: toUserResponse(user),
+  });
+};
@@ -0,0 +1,302 @@
+import { and, asc, eq } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { productVariants } from "../database/schema/productVariant.js";
+import { AppError } from "../helpers/errors.js";
+import { recordAudit, snapshotProduct } from "../helpers/audit.js";
+import { assertActiveProduct, touchProduct } from "../helpers/products.js";
+import { toVariantResponse } from "../helpers/productVariants.js";
+import { assertNoOwnStock, setVariantStock } from "../helpers/inventory.js";
+
+/**
+ * @function changeVariants
+ * @description Runs a variant change in a transaction, touching the product and recording
+ * the change as a product update in the audit log. The product row stays locked until the end
+ * @param {Object} req - Express request object, for the product ID and the user
+ * @param {Function} change - Receives the transaction, returns the changed variant
+ * @returns {Promise<Object>} Changed variant
+ */
+const changeVariants = (req, change) =>
+  db.transaction(async (tx) => {
+    const productId = req.params.id;
+
+    await assertActiveProduct(tx, productId, { lock: true });
+    const before = await snapshotProduct(tx, productId);
+
+    const variant = await change(tx);
+
+    await touchProduct(tx, productId);
+    await recordAudit(tx, {
+      entityType: "product",
+      entityId: productId,
+      action: "update",
+      userId: req.user?.id,
+      before,
+      after: await snapshotProduct(tx, productId),
+    });
+
+    return variant;
+  });
+
+/**
+ * @function getVariants
+ * @description Fetches the variants of a product, ordered by SKU
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the variants
+ * @throws {422} If the ID is invalid
+ * @throws {404} If the product does not exist or is trashed
+ * @example
+ *  Request:
+ *  GET /api/product/12/variants
+ *
+ *  Success response:
+ * {
+ *   "message": "Variants fetched successfully",
+ *   "status": "success",
+ *   "data": [
+ *     { "id": 1, "sku": "TEE-M-RED", "options": { "size": "M", "color": "red" }, "price": null, "stock": 12 }
+ *   ]
+ * }
+ */
+export const getVariants = async (req, res) => {
+  const { id } = req.params;
+
+  await assertActiveProduct(db, id);
+
+  const variants = await db
+    .select()
+    .from(productVariants)
+    .where(eq(productVariants.productId, id))
+    .orderBy(asc(productVariants.sku));
+
+  res.json({
+    message: "Variants fetched successfully",
+    status: "success",
+    data: variants.map(toVariantResponse),
+  });
+};
+
+/**
+ * @function addVariant
+ * @description Adds a variant to a product. Its stock is recorded as an adjustment in the stock ledger
+ * and added to the stock of the product
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {string} req.body.sku - SKU, unique across the catalog
+ * @param {Object} [req.body.options] - Option attributes, e.g. { "size": "M" }
+ * @param {string|null} [req.body.price] - Price override as a decimal string, null uses the product price
+ * @param {number} [req.body.stock] - Stock quantity, defaults to 0
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the created variant
+ * @throws {422} If a field is invalid
+ * @throws {404} If the product does not exist or is trashed
+ * @throws {400} If the SKU is already used
+ * @throws {409} If the product already has a variant with the same options
+ * @throws {409} If it is the first variant and the product has stock of its own
+ * @example
+ *  Request:
+ *  POST /api/product/12/variants
+ * {
+ *   "sku": "TEE-L-RED",
+ *   "options": { "size": "L", "color": "red" },
+ *   "price": "21.99",
+ *   "stock": 4
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Variant added successfully",
+ *   "status": "success",
+ *   "data": { "id": 2, "sku": "TEE-L-RED", "options": { "size": "L", "color": "red" }, "price": "21.99", "stock": 4 }
+ * }
+ */
+export const addVariant = async (req, res) => {
+  const { id } = req.params;
+  const { sku, options = {}, price = null, stock = 0 } = req.body;
+
+  const variant = await changeVariants(req, async (tx) => {
+    const [existingVariant] = await tx
+      .select({ id: productVariants.id })
+      .from(productVariants)
+      .where(eq(productVariants.sku, sku));
+
+    if (existingVariant) {
+      throw new AppError(
+        400,
+        "VARIANT_SKU_ALREADY_EXISTS",
+        "Variant with this SKU already exists"
+      );
+    }
+
+    await assertNoOwnStock(tx, id);
+
+    const [insertedVariant] = await tx
+      .insert(productVariants)
+      .values({ productId: id, sku, options, price })
+      .returning();
+
+    await setVariantStock(tx, {
+      productId: id,
+      variantId: insertedVariant.id,
+      stock,
+      note: `Variant ${sku} added`,
+      userId: req.user?.id,
+    });
+
+    return { ...insertedVariant, stock };
+  });
+
+  res.json({
+    message: "Variant added successfully",
+    status: "success",
+    data: toVariantResponse(variant),
+  });
+};
+
+/**
+ * @function editVariant
+ * @description Updates the given fields of a variant, a new stock is recorded as an adjustment in the stock ledger
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {number} req.params.variantId - ID of the variant
+ * @param {Object} req.body - Any of sku, options, price (null uses the product price) and stock
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated variant
+ * @throws {422} If a field is invalid
+ * @throws {404} If the product or the variant does not exist
+ * @throws {400} If the new SKU is already used
+ * @throws {409} If the product already has a variant with the same options
+ * @example
+ *  Request:
+ *  PUT /api/product/12/variants/2
+ * {
+ *   "price": null,
+ *   "stock": 10
+ * }
+ *
+ *  Success response:
+ * {
+ *   "message": "Variant updated successfully",
+ *   "status": "success",
+ *   "data": { "id": 2, "sku": "TEE-L-RED", "options": { "size": "L", "color": "red" }, "price": null, "stock": 10 }
+ * }
+ */
+export const editVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+  const { sku, options, price, stock } = req.body;
+
+  const variant = await changeVariants(req, async (tx) => {
+    if (sku) {
+      const [skuOwner] = await tx
+        .select({ id: productVariants.id })
+        .from(productVariants)
+        .where(eq(productVariants.sku, sku));
+
+      if (skuOwner && skuOwner.id !== variantId) {
+        throw new AppError(
+          400,
+          "VARIANT_SKU_ALREADY_EXISTS",
+          "Variant with this SKU already exists"
+        );
+      }
+    }
+
+    const [updatedVariant] = await tx
+      .update(productVariants)
+      .set({
+        ...(sku && { sku }),
+        ...(options && { options }),
+        ...(price !== undefined && { price }),
+        updatedAt: new Date(),
+      })
+      .where(
+        and(
+          eq(productVariants.id, variantId),
+          eq(productVariants.productId, id)
+        )
+      )
+      .returning();
+
+    if (!updatedVariant) {
+      throw new AppError(404, "VARIANT_NOT_FOUND", "Variant not found");
+    }
+
+    if (stock === undefined) return updatedVariant;
+
+    await setVariantStock(tx, {
+      productId: id,
+      variantId,
+      stock,
+      note: `Variant ${updatedVariant.sku} edited`,
+      userId: req.user?.id,
+    });
+
+    return { ...updatedVariant, stock };
+  });
+
+  res.json({
+    message: "Variant updated successfully",
+    status: "success",
+    data: toVariantResponse(variant),
+  });
+};
+
+/**
+ * @function deleteVariant
+ * @description Deletes a variant of a product, its stock is removed from the product by an adjustment in the stock ledger
+ * @param {Object} req - Express request object
+ * @param {number} req.params.id - ID of the product
+ * @param {number} req.params.variantId - ID of the variant
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the deleted variant
+ * @throws {422} If an ID is invalid
+ * @throws {404} If the product or the variant does not exist
+ * @example
+ *  Request:
+ *  DELETE /api/product/12/variants/2
+ *
+ *  Success response:
+ * {
+ *   "message": "Variant deleted successfully",
+ *   "status": "success",
+ *   "data": { "id": 2, "sku": "TEE-L-RED", "options": { "size": "L", "color": "red" }, "price": null, "stock": 10 }
+ * }
+ */
+export const deleteVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+
+  const variant = await changeVariants(req, async (tx) => {
+    const variantCondition = and(
+      eq(productVariants.id, variantId),
+      eq(productVariants.productId, id)
+    );
+
+    const [existingVariant] = await tx
+      .select()
+      .from(productVariants)
+      .where(variantCondition);
+
+    if (!existingVariant) {
+      throw new AppError(404, "VARIANT_NOT_FOUND", "Variant not found");
+    }
+
+    await setVariantStock(tx, {
+      productId: id,
+      variantId,
+      stock: 0,
+      note: `Variant ${existingVariant.sku} deleted`,
+      userId: req.user?.id,
+    });
+
+    await tx.delete(productVariants).where(variantCondition);
+
+    return existingVariant;
+  });
+
+  res.json({
+    message: "Variant deleted successfully",
+    status: "success",
+    data: toVariantResponse(variant),
+  });
+};
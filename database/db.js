@@ -1,13 +1,11 @@
 import { drizzle } from "drizzle-orm/node-postgres";
 import { Pool } from "pg";
 import * as schema from "./schema/index.js";
-import dotenv from "dotenv";
-
-dotenv.config();
+import { config } from "../helpers/config.js";
 
 const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
+  connectionString: config.database.url,
+  ssl: config.database.ssl,
 });
 
 export const db = drizzle(pool, { schema });
@@ -0,0 +1,54 @@
+import {
+  index,
+  integer,
+  jsonb,
+  pgEnum,
+  pgTable,
+  serial,
+  timestamp,
+} from "drizzle-orm/pg-core";
+import { users } from "./user.js";
+
+export const auditEntityType = pgEnum("audit_entity_type", [
+  "product",
+  "category",
+]);
+
+export const auditAction = pgEnum("audit_action", [
+  "create",
+  "update",
+  "delete",
+  "restore",
+  "purge",
+]);
+
+/*
+
+append-only change history of products and categories
+
+entity_id has no foreign key on purpose, the history outlives purged products and deleted categories
+
+*/
+export const auditLogs = pgTable(
+  "audit_logs",
+  {
+    id: serial("id").primaryKey(),
+    entityType: auditEntityType("entity_type").notNull(),
+    entityId: integer("entity_id").notNull(),
+    action: auditAction("action").notNull(),
+    userId: integer("user_id").references(() => users.id, {
+      onDelete: "set null",
+    }),
+    // snapshots of the entity, before is null for a create, after is null for a purge or category delete
+    before: jsonb("before"),
+    after: jsonb("after"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+  },
+  (table) => [
+    index("audit_logs_entity_idx").on(
+      table.entityType,
+      table.entityId,
+      table.createdAt
+    ),
+  ]
+);
@@ -1,7 +1,34 @@
-import { pgTable, serial, text, timestamp } from "drizzle-orm/pg-core";
+import { sql } from "drizzle-orm";
+import {
+  check,
+  index,
+  integer,
+  pgTable,
+  serial,
+  text,
+  timestamp,
+} from "drizzle-orm/pg-core";
 
-export const categories = pgTable("categories", {
-  id: serial("id").primaryKey(),
-  name: text("name").notNull().unique(),
-  createdAt: timestamp("created_at").defaultNow(),
-});
+export const categories = pgTable(
+  "categories",
+  {
+    id: serial("id").primaryKey(),
+    name: text("name").notNull().unique(),
+    // URL identifier, generated from the name and kept on rename, see helpers/slugs.js
+    slug: text("slug").notNull().unique(),
+    // null for top level categories
+    parentId: integer("parent_id").references(() => categories.id, {
+      onDelete: "restrict",
+    }),
+    createdAt: timestamp("created_at").defaultNow(),
+    updatedAt: timestamp("updated_at").defaultNow(),
+  },
+  (table) => [
+    // lets the product search match category names
+    index("categories_name_search_idx").using(
+      "gin",
+      sql`to_tsvector('english', ${table.name})`
+    ),
+    check("categories_parent_not_self", sql`${table.parentId} <> ${table.id}`),
+  ]
+);
@@ -1,4 +1,11 @@
 export * from "./category.js";
 export * from "./product.js";
 export * from "./productCategory.js";
+export * from "./productVariant.js";
+export * from "./productImage.js";
+export * from "./user.js";
+export * from "./refreshToken.js";
+export * from "./auditLog.js";
+export * from "./stockMovement.js";
+export * from "./slugRedirect.js";
 export * from "./relation.js";
@@ -1,9 +1,61 @@
-import { pgTable, serial, text, timestamp, integer } from "drizzle-orm/pg-core";
+import { sql } from "drizzle-orm";
+import {
+  check,
+  index,
+  integer,
+  pgTable,
+  serial,
+  text,
+  timestamp,
+  numeric,
+  uniqueIndex,
+} from "drizzle-orm/pg-core";
 
-export const products = pgTable("products", {
-  id: serial("id").primaryKey(),
-  name: text("name").notNull().unique(),
-  price: integer("price").notNull(),
-  createdAt: timestamp("created_at").defaultNow(),
-  updatedAt: timestamp("updated_at").defaultNow(),
-});
+export const DEFAULT_CURRENCY = "USD";
+
+/**
+ * @function productSearchVector
+ * @description Full-text document of a product, the name weighs most, then the tags, then the description.
+ * Used by the GIN index and by the search queries, which have to use the same expression to hit the index.
+ * Tags are stored lowercase and become lexemes as they are, without stemming
+ * @param {Object} table - The products table
+ * @returns {SQL} tsvector expression
+ */
+export const productSearchVector = (table) =>
+  sql`(setweight(to_tsvector('english', ${table.name}), 'A') || setweight(array_to_tsvector(${table.tags}), 'B') || setweight(to_tsvector('english', coalesce(${table.description}, '')), 'C'))`;
+
+export const products = pgTable(
+  "products",
+  {
+    id: serial("id").primaryKey(),
+    name: text("name").notNull(),
+    // URL identifier, generated from the name and kept on rename, see helpers/slugs.js
+    slug: text("slug").notNull().unique(),
+    description: text("description"),
+    // free-form lowercase labels, e.g. ["summer", "running shoes"]
+    tags: text("tags")
+      .array()
+      .notNull()
+      .default(sql`'{}'::text[]`),
+    // exact decimal, returned by the driver as a string like "19.99"
+    price: numeric("price", { precision: 12, scale: 2 }).notNull(),
+    // ISO 4217 code of the price
+    currency: text("currency").notNull().default(DEFAULT_CURRENCY),
+    // running balance of stock_movements, only changed together with a movement
+    stock: integer("stock").notNull().default(0),
+    createdAt: timestamp("created_at").defaultNow(),
+    updatedAt: timestamp("updated_at").defaultNow(),
+    // set when the product is moved to the trash, null while it is active
+    deletedAt: timestamp("deleted_at"),
+  },
+  (table) => [
+    // names only have to be unique among active products, trashed ones can be re-created
+    uniqueIndex("products_name_active_unique")
+      .on(table.name)
+      .where(sql`${table.deletedAt} is null`),
+    index("products_search_idx").using("gin", productSearchVector(table)),
+    check("products_price_non_negative", sql`${table.price} >= 0`),
+    check("products_currency_format", sql`${table.currency} ~ '^[A-Z]{3}$'`),
+    check("products_stock_non_negative", sql`${table.stock} >= 0`),
+  ]
+);
@@ -10,7 +10,8 @@ export const productCategories = pgTable(
       .references(() => products.id, { onDelete: "cascade" }),
     categoryId: integer("category_id")
       .notNull()
-      .references(() => categories.id, { onDelete: "cascade" }),
+      // categories in use are only removed explicitly, see deleteCategory
+      .references(() => categories.id, { onDelete: "restrict" }),
   },
   (table) => ({
     pk: primaryKey(table.productId, table.categoryId),
@@ -0,0 +1,40 @@
+import { sql } from "drizzle-orm";
+import {
+  boolean,
+  check,
+  index,
+  integer,
+  pgTable,
+  serial,
+  text,
+  timestamp,
+  uniqueIndex,
+} from "drizzle-orm/pg-core";
+import { products } from "./product.js";
+
+export const productImages = pgTable(
+  "product_images",
+  {
+    id: serial("id").primaryKey(),
+    productId: integer("product_id")
+      .notNull()
+      .references(() => products.id, { onDelete: "cascade" }),
+    // location of the file in the image storage, the URL is derived from it
+    storageKey: text("storage_key").notNull().unique(),
+    contentType: text("content_type").notNull(),
+    // in bytes
+    size: integer("size").notNull(),
+    // display order, lowest first
+    position: integer("position").notNull().default(0),
+    isPrimary: boolean("is_primary").notNull().default(false),
+    createdAt: timestamp("created_at").defaultNow(),
+  },
+  (table) => [
+    index("product_images_product_idx").on(table.productId, table.position),
+    // at most one primary image per product
+    uniqueIndex("product_images_primary_unique")
+      .on(table.productId)
+      .where(sql`${table.isPrimary}`),
+    check("product_images_size_positive", sql`${table.size} > 0`),
+  ]
+);
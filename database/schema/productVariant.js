@@ -0,0 +1,40 @@
+import { sql } from "drizzle-orm";
+import {
+  check,
+  integer,
+  jsonb,
+  numeric,
+  pgTable,
+  serial,
+  text,
+  timestamp,
+  uniqueIndex,
+} from "drizzle-orm/pg-core";
+import { products } from "./product.js";
+
+export const productVariants = pgTable(
+  "product_variants",
+  {
+    id: serial("id").primaryKey(),
+    productId: integer("product_id")
+      .notNull()
+      .references(() => products.id, { onDelete: "cascade" }),
+    sku: text("sku").notNull().unique(),
+    // option attributes of the variant, e.g. { "size": "M", "color": "red" }
+    options: jsonb("options").notNull().default({}),
+    // null uses the price of the product
+    price: numeric("price", { precision: 12, scale: 2 }),
+    stock: integer("stock").notNull().default(0),
+    createdAt: timestamp("created_at").defaultNow(),
+    updatedAt: timestamp("updated_at").defaultNow(),
+  },
+  (table) => [
+    // a product cannot have two variants with the same options
+    uniqueIndex("product_variants_product_options_unique").on(
+      table.productId,
+      table.options
+    ),
+    check("product_variants_price_non_negative", sql`${table.price} >= 0`),
+    check("product_variants_stock_non_negative", sql`${table.stock} >= 0`),
+  ]
+);
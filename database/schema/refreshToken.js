@@ -0,0 +1,19 @@
+import { pgTable, integer, timestamp, uuid } from "drizzle-orm/pg-core";
+import { users } from "./user.js";
+
+/*
+
+one row per issued refresh token, the id is the token's jti claim
+
+a token is only accepted while its row exists, is not revoked and not expired
+
+*/
+export const refreshTokens = pgTable("refresh_tokens", {
+  id: uuid("id").primaryKey().defaultRandom(),
+  userId: integer("user_id")
+    .notNull()
+    .references(() => users.id, { onDelete: "cascade" }),
+  expiresAt: timestamp("expires_at").notNull(),
+  revokedAt: timestamp("revoked_at"),
+  createdAt: timestamp("created_at").defaultNow(),
+});
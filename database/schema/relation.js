@@ -2,13 +2,45 @@ import { relations } from "drizzle-orm";
 import { products } from "./product.js";
 import { categories } from "./category.js";
 import { productCategories } from "./productCategory.js";
+import { productVariants } from "./productVariant.js";
+import { productImages } from "./productImage.js";
+import { users } from "./user.js";
+import { refreshTokens } from "./refreshToken.js";
+import { auditLogs } from "./auditLog.js";
+import { stockMovements } from "./stockMovement.js";
 
 export const productRelations = relations(products, ({ many }) => ({
   categories: many(productCategories),
+  variants: many(productVariants),
+  images: many(productImages),
+  stockMovements: many(stockMovements),
 }));
 
-export const categoryRelations = relations(categories, ({ many }) => ({
+export const productVariantRelations = relations(
+  productVariants,
+  ({ one }) => ({
+    product: one(products, {
+      fields: [productVariants.productId],
+      references: [products.id],
+    }),
+  })
+);
+
+export const productImageRelations = relations(productImages, ({ one }) => ({
+  product: one(products, {
+    fields: [productImages.productId],
+    references: [products.id],
+  }),
+}));
+
+export const categoryRelations = relations(categories, ({ one, many }) => ({
   products: many(productCategories),
+  parent: one(categories, {
+    fields: [categories.parentId],
+    references: [categories.id],
+    relationName: "categoryHierarchy",
+  }),
+  children: many(categories, { relationName: "categoryHierarchy" }),
 }));
 
 export const productCategoryRelations = relations(
@@ -24,3 +56,34 @@ export const productCategoryRelations = relations(
     }),
   })
 );
+
+export const userRelations = relations(users, ({ many }) => ({
+  refreshTokens: many(refreshTokens),
+  auditLogs: many(auditLogs),
+  stockMovements: many(stockMovements),
+}));
+
+export const refreshTokenRelations = relations(refreshTokens, ({ one }) => ({
+  user: one(users, {
+    fields: [refreshTokens.userId],
+    references: [users.id],
+  }),
+}));
+
+export const auditLogRelations = relations(auditLogs, ({ one }) => ({
+  user: one(users, {
+    fields: [auditLogs.userId],
+    references: [users.id],
+  }),
+}));
+
+export const stockMovementRelations = relations(stockMovements, ({ one }) => ({
+  product: one(products, {
+    fields: [stockMovements.productId],
+    references: [products.id],
+  }),
+  user: one(users, {
+    fields: [stockMovements.userId],
+    references: [users.id],
+  }),
+}));
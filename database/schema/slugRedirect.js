@@ -0,0 +1,38 @@
+import {
+  integer,
+  pgEnum,
+  pgTable,
+  serial,
+  text,
+  timestamp,
+  uniqueIndex,
+} from "drizzle-orm/pg-core";
+
+export const slugEntityType = pgEnum("slug_entity_type", [
+  "product",
+  "category",
+]);
+
+/*
+
+former slugs of products and categories, so old URLs keep working
+
+entity_id has no foreign key, it points to products or categories depending on entity_type
+
+*/
+export const slugRedirects = pgTable(
+  "slug_redirects",
+  {
+    id: serial("id").primaryKey(),
+    entityType: slugEntityType("entity_type").notNull(),
+    slug: text("slug").notNull(),
+    entityId: integer("entity_id").notNull(),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+  },
+  (table) => [
+    uniqueIndex("slug_redirects_entity_type_slug_unique").on(
+      table.entityType,
+      table.slug
+    ),
+  ]
+);
@@ -0,0 +1,58 @@
+import { sql } from "drizzle-orm";
+import {
+  check,
+  index,
+  integer,
+  pgEnum,
+  pgTable,
+  serial,
+  text,
+  timestamp,
+} from "drizzle-orm/pg-core";
+import { products } from "./product.js";
+import { productVariants } from "./productVariant.js";
+import { users } from "./user.js";
+
+export const stockMovementType = pgEnum("stock_movement_type", [
+  "receive",
+  "sell",
+  "adjust",
+  "return",
+]);
+
+/*
+
+append-only ledger of stock changes, products.stock is the running balance
+
+the stock of a product with variants is held by its variants: every movement names one
+of them, changes its stock and the product's, so products.stock stays their total
+
+*/
+export const stockMovements = pgTable(
+  "stock_movements",
+  {
+    id: serial("id").primaryKey(),
+    productId: integer("product_id")
+      .notNull()
+      .references(() => products.id, { onDelete: "cascade" }),
+    // null for a product without variants, kept as null once the variant is deleted
+    variantId: integer("variant_id").references(() => productVariants.id, {
+      onDelete: "set null",
+    }),
+    type: stockMovementType("type").notNull(),
+    // signed change, negative for a sale or a downward adjustment
+    quantity: integer("quantity").notNull(),
+    // stock of the product right after the movement, all of its variants together
+    balance: integer("balance").notNull(),
+    note: text("note"),
+    userId: integer("user_id").references(() => users.id, {
+      onDelete: "set null",
+    }),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+  },
+  (table) => [
+    index("stock_movements_product_idx").on(table.productId, table.createdAt),
+    check("stock_movements_quantity_non_zero", sql`${table.quantity} <> 0`),
+    check("stock_movements_balance_non_negative", sql`${table.balance} >= 0`),
+  ]
+);
@@ -0,0 +1,15 @@
+import { pgEnum, pgTable, serial, text, timestamp } from "drizzle-orm/pg-core";
+
+export const USER_ROLES = ["admin", "editor", "viewer"];
+
+export const userRole = pgEnum("user_role", USER_ROLES);
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  // stored lowercased, see normalizeEmail
+  email: text("email").notNull().unique(),
+  passwordHash: text("password_hash").notNull(),
+  role: userRole("role").notNull().default("viewer"),
+  createdAt: timestamp("created_at").defaultNow(),
+  updatedAt: timestamp("updated_at").defaultNow(),
+});
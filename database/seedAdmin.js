@@ -0,0 +1,47 @@
+import { sql } from "drizzle-orm";
+import { db } from "./db.js";
+import { users } from "./schema/user.js";
+import { config } from "../helpers/config.js";
+import { hashPassword } from "../helpers/password.js";
+import { logger } from "../helpers/logger.js";
+
+/*
+
+Creates the admin account from ADMIN_EMAIL and ADMIN_PASSWORD: npm run seed:admin
+
+Public registration only creates viewers, this is the only way to the first admin. An existing
+user with that email is promoted to admin and keeps their password. Running it again is harmless.
+
+*/
+
+if (!config.admin) {
+  logger.error(
+    "ADMIN_EMAIL and ADMIN_PASSWORD have to be set to seed the admin"
+  );
+  process.exit(1);
+}
+
+// one statement, so it cannot race with a registration of the same email
+const [admin] = await db
+  .insert(users)
+  .values({
+    email: config.admin.email,
+    passwordHash: await hashPassword(config.admin.password),
+    role: "admin",
+  })
+  .onConflictDoUpdate({
+    target: users.email,
+    set: { role: "admin", updatedAt: new Date() },
+  })
+  .returning({
+    id: users.id,
+    email: users.email,
+    created: sql`xmax = 0`.mapWith(Boolean),
+  });
+
+logger.info(admin.created ? "Admin created" : "Existing user made admin", {
+  userId: admin.id,
+  email: admin.email,
+});
+
+await db.$client.end();
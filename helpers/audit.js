@@ -0,0 +1,138 @@
+import { asc, eq } from "drizzle-orm";
+import { auditLogs } from "../database/schema/auditLog.js";
+import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import { productVariants } from "../database/schema/productVariant.js";
+
+/**
+ * @function snapshotProduct
+ * @description Reads the audited fields of a product, including its sorted category IDs and its variants
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<Object|null>} Snapshot or null if the product does not exist
+ */
+export const snapshotProduct = async (executor, productId) => {
+  const [product] = await executor
+    .select({
+      name: products.name,
+      slug: products.slug,
+      price: products.price,
+      currency: products.currency,
+      description: products.description,
+      tags: products.tags,
+      deletedAt: products.deletedAt,
+    })
+    .from(products)
+    .where(eq(products.id, productId));
+
+  if (!product) return null;
+
+  const categoryRows = await executor
+    .select({ categoryId: productCategories.categoryId })
+    .from(productCategories)
+    .where(eq(productCategories.productId, productId));
+
+  const variants = await executor
+    .select({
+      sku: productVariants.sku,
+      options: productVariants.options,
+      price: productVariants.price,
+      stock: productVariants.stock,
+    })
+    .from(productVariants)
+    .where(eq(productVariants.productId, productId))
+    .orderBy(asc(productVariants.sku));
+
+  return {
+    ...product,
+    categoryIds: categoryRows
+      .map((row) => row.categoryId)
+      .sort((a, b) => a - b),
+    variants,
+  };
+};
+
+/**
+ * @function snapshotCategory
+ * @description Reads the audited fields of a category
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} categoryId - ID of the category
+ * @returns {Promise<Object|null>} Snapshot or null if the category does not exist
+ */
+export const snapshotCategory = async (executor, categoryId) => {
+  const [category] = await executor
+    .select({
+      name: categories.name,
+      slug: categories.slug,
+      parentId: categories.parentId,
+    })
+    .from(categories)
+    .where(eq(categories.id, categoryId));
+
+  return category ?? null;
+};
+
+/**
+ * @function recordAudit
+ * @description Appends an entry to the audit log.
+ * Call it with the transaction of the change, so the entry is only kept if the change is committed.
+ * @param {Object} executor - Transaction of the change
+ * @param {Object} entry - Audit entry
+ * @param {"product"|"category"} entry.entityType - Type of the changed entity
+ * @param {number} entry.entityId - ID of the changed entity
+ * @param {"create"|"update"|"delete"|"restore"|"purge"} entry.action - What happened
+ * @param {number} [entry.userId] - ID of the user who made the change
+ * @param {Object|null} entry.before - Snapshot before the change
+ * @param {Object|null} entry.after - Snapshot after the change
+ * @returns {Promise<void>}
+ * @example
+ * await db.transaction(async (tx) => {
+ *   const before = await snapshotProduct(tx, id);
+ *   // ... update the product
+ *   const after = await snapshotProduct(tx, id);
+ *   await recordAudit(tx, { entityType: "product", entityId: id, action: "update", userId, before, after });
+ * });
+ */
+export const recordAudit = async (
+  executor,
+  { entityType, entityId, action, userId, before, after }
+) => {
+  await executor.insert(auditLogs).values({
+    entityType,
+    entityId,
+    action,
+    userId: userId ?? null,
+    before,
+    after,
+  });
+};
+
+/**
+ * @function diffSnapshots
+ * @description Lists the fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Object} Changed fields as { field: { from, to } }
+ * @example
+ *  Returns { price: { from: 10, to: 12 } }
+ * diffSnapshots({ name: "a", price: 10 }, { name: "a", price: 12 })
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before ?? {}),
+    ...Object.keys(after ?? {}),
+  ]);
+  const changes = {};
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
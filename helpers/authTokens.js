@@ -0,0 +1,57 @@
+import jwt from "jsonwebtoken";
+import { config } from "./config.js";
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+/**
+ * @function getJwtSecret
+ * @description The one secret used to sign and verify every token, JWT_SECRET
+ * @returns {string} JWT secret
+ */
+export const getJwtSecret = () => config.jwtSecret;
+
+/**
+ * @function signAccessToken
+ * @description Signs a short-lived access token for a user
+ * @param {Object} user - User the token is issued for
+ * @param {number} user.id - ID of the user
+ * @param {string} user.email - Email of the user
+ * @param {string} user.role - Role of the user, checked by authorizeRoles
+ * @returns {string} Signed access token
+ */
+export const signAccessToken = (user) =>
+  jwt.sign(
+    { id: user.id, email: user.email, role: user.role, type: "access" },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+/**
+ * @function signRefreshToken
+ * @description Signs a refresh token. Its jti is the ID of the matching refresh_tokens row
+ * @param {number} userId - ID of the user
+ * @param {string} tokenId - ID of the refresh_tokens row
+ * @returns {string} Signed refresh token
+ */
+export const signRefreshToken = (userId, tokenId) =>
+  jwt.sign({ id: userId, type: "refresh" }, getJwtSecret(), {
+    expiresIn: REFRESH_TOKEN_TTL_SECONDS,
+    jwtid: tokenId,
+  });
+
+/**
+ * @function verifyToken
+ * @description Verifies a token and checks that it is of the expected type
+ * @param {string} token - Signed token
+ * @param {"access"|"refresh"} type - Expected token type
+ * @returns {Object|null} Decoded payload or null if the token is invalid, expired or of another type
+ */
+export const verifyToken = (token, type) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.type === type ? decoded : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,97 @@
+import { sql } from "drizzle-orm";
+import { categories } from "../database/schema/category.js";
+import { reformatCategoryNameResponse } from "./reformatCategoryName.js";
+
+/**
+ * @function categorySubtreeIds
+ * @description Builds a subquery selecting the given categories and all of their descendants.
+ * Usable anywhere drizzle accepts a subquery, e.g. inArray(column, categorySubtreeIds([1]))
+ * @param {number[]} rootIds - IDs of the subtree roots
+ * @returns {SQL} Recursive subquery returning one id per row
+ * @example
+ *  Product-category pairs in "clothing" or any of its subcategories
+ * db.select().from(productCategories)
+ *   .where(inArray(productCategories.categoryId, categorySubtreeIds([clothingId])))
+ */
+export const categorySubtreeIds = (rootIds) => sql`(
+  with recursive subtree as (
+    select ${categories.id} as id from ${categories}
+    where ${categories.id} in ${rootIds}
+    union
+    select child.id from ${categories} child
+    inner join subtree on child.parent_id = subtree.id
+  )
+  select id from subtree
+)`;
+
+// key of the advisory lock taken by lockCategoryHierarchy, any number unique to this lock
+const CATEGORY_HIERARCHY_LOCK = 4_120_001;
+
+/**
+ * @function lockCategoryHierarchy
+ * @description Takes the transaction-level lock serializing category moves.
+ * Two concurrent moves (A under B, B under A) would each pass the cycle check on the tree
+ * as it was before the other one. With the lock the second move waits and checks the tree
+ * including the first move
+ * @param {Object} tx - Transaction the lock is held by, released when it ends
+ * @returns {Promise<void>}
+ */
+export const lockCategoryHierarchy = async (tx) => {
+  await tx.execute(
+    sql`select pg_advisory_xact_lock(${CATEGORY_HIERARCHY_LOCK})`
+  );
+};
+
+/**
+ * @function getDescendantIds
+ * @description Fetches the IDs of every descendant of a category, the category itself excluded
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} categoryId - ID of the category
+ * @returns {Promise<number[]>} IDs of the descendants
+ */
+export const getDescendantIds = async (executor, categoryId) => {
+  const { rows } = await executor.execute(
+    sql`select id from ${categorySubtreeIds([categoryId])} as descendants
+        where id <> ${categoryId}`
+  );
+
+  return rows.map((row) => Number(row.id));
+};
+
+/**
+ * @function buildCategoryTree
+ * @description Nests a flat list of categories under their parents, names in human-readable format
+ * @param {Object[]} rows - Categories with id, name and parentId
+ * @returns {Object[]} Root categories, each with a children array
+ * @example
+ *  Returns [{ id: 1, name: "clothing", children: [{ id: 2, name: "female clothing", children: [] }] }]
+ * buildCategoryTree([
+ *   { id: 1, name: "clothing", parentId: null },
+ *   { id: 2, name: "female_clothing", parentId: 1 },
+ * ])
+ */
+export const buildCategoryTree = (rows) => {
+  const nodes = new Map(
+    rows.map((row) => [
+      row.id,
+      {
+        ...row,
+        name: reformatCategoryNameResponse(row.name),
+        children: [],
+      },
+    ])
+  );
+
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
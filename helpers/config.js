@@ -0,0 +1,275 @@
+import dotenv from "dotenv";
+import { MIN_PASSWORD_LENGTH } from "../validators/authValidator.js";
+
+/*
+
+Configuration
+
+Every environment variable is read and validated here, once, when the backend starts. Missing or
+invalid values stop the start with one error listing all of them, instead of failing on the first
+request that needs them. The rest of the backend reads config, never process.env.
+
+NODE_ENV selects a profile whose defaults apply to every variable that is not set:
+- development (default): frontend on http://localhost:5173, cookies without Secure, debug logs
+- test: like development, with a fixed JWT secret, no CORS origins, no database SSL and
+  only error logs
+- production: JWT_SECRET (32 characters at least) and CORS_ORIGINS have to be set,
+  database certificates are verified, cookies are sent cross-site and logs start at info
+
+Variables
+- DATABASE_URL: postgres:// connection string, always required
+- DATABASE_SSL: "disable", "require" (encrypted, certificate not verified) or "verify"
+- JWT_SECRET: secret signing every token
+- CORS_ORIGINS: comma-separated origins allowed to call the API with cookies, a "*." in front of
+  the host allows every subdomain, e.g. "https://shop.example.com, https://*.vercel.app"
+- COOKIE_SECURE: "true" or "false", Secure flag of the auth cookies
+- COOKIE_SAME_SITE: "strict", "lax" or "none", "none" needs COOKIE_SECURE=true
+- LOG_LEVEL: "debug", "info", "warn", "error" or "silent", see helpers/logger.js
+- ADMIN_EMAIL, ADMIN_PASSWORD: admin account created by npm run seed:admin, see database/seedAdmin.js
+- IMAGE_STORAGE, UPLOAD_DIR: see helpers/imageStorage.js
+- CACHE_STORE, CACHE_MAX_ENTRIES, CACHE_TTL_SECONDS, REDIS_URL: see helpers/queryCache.js
+
+*/
+
+const PROFILES = {
+  development: {
+    DATABASE_SSL: "require",
+    CORS_ORIGINS: "http://localhost:5173",
+    COOKIE_SECURE: "false",
+    COOKIE_SAME_SITE: "lax",
+    LOG_LEVEL: "debug",
+  },
+  test: {
+    DATABASE_SSL: "disable",
+    JWT_SECRET: "test-secret",
+    CORS_ORIGINS: "",
+    COOKIE_SECURE: "false",
+    COOKIE_SAME_SITE: "lax",
+    LOG_LEVEL: "error",
+  },
+  production: {
+    DATABASE_SSL: "verify",
+    COOKIE_SECURE: "true",
+    COOKIE_SAME_SITE: "none",
+    LOG_LEVEL: "info",
+  },
+};
+
+// the same in every profile
+const DEFAULTS = {
+  IMAGE_STORAGE: "local",
+  UPLOAD_DIR: "uploads",
+  CACHE_STORE: "memory",
+  CACHE_MAX_ENTRIES: "500",
+  CACHE_TTL_SECONDS: "60",
+};
+
+const DATABASE_SSL_OPTIONS = {
+  disable: false,
+  require: { rejectUnauthorized: false },
+  verify: { rejectUnauthorized: true },
+};
+
+const SAME_SITE_VALUES = { strict: "Strict", lax: "Lax", none: "None" };
+
+// scheme and host, optionally "*." in front of the host and a port, no path
+const ORIGIN_PATTERN =
+  /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(:\d+)?$/;
+
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+/**
+ * @function toOriginPattern
+ * @description Compiles an entry of CORS_ORIGINS, "*." matches exactly one subdomain label
+ * @param {string} origin - Validated entry of CORS_ORIGINS
+ * @returns {RegExp} Pattern matching the Origin header
+ * @example
+ *  Returns /^https:\/\/[a-z0-9-]+\.vercel\.app$/
+ * toOriginPattern("https://*.vercel.app")
+ */
+const toOriginPattern = (origin) => {
+  const escaped = origin
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace("*", "[a-z0-9-]+");
+
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * @function loadConfig
+ * @description Reads and validates the configuration from environment variables
+ * @param {Object} env - Environment variables, process.env by default
+ * @returns {Object} Frozen configuration
+ * @throws {Error} Listing every missing or invalid variable
+ * @example
+ * loadConfig({ NODE_ENV: "test", DATABASE_URL: "postgres://localhost/catalog_test" })
+ */
+export const loadConfig = (env = process.env) => {
+  const profile = env.NODE_ENV || "development";
+
+  if (!PROFILES[profile]) {
+    throw new Error(
+      `NODE_ENV must be one of ${Object.keys(PROFILES).join(
+        ", "
+      )}, got ${profile}`
+    );
+  }
+
+  // an empty variable, e.g. "JWT_SECRET=" in .env, counts as not set
+  const setVariables = Object.fromEntries(
+    Object.entries(env).filter(
+      ([, value]) => value !== undefined && value !== ""
+    )
+  );
+  const vars = { ...DEFAULTS, ...PROFILES[profile], ...setVariables };
+  const errors = [];
+
+  const required = (name) => {
+    if (vars[name] === undefined) errors.push(`${name} is required`);
+    return vars[name];
+  };
+
+  const oneOf = (name, values) => {
+    if (!values.includes(vars[name])) {
+      errors.push(
+        `${name} must be one of ${values.join(", ")}, got ${vars[name]}`
+      );
+    }
+    return vars[name];
+  };
+
+  const positiveInteger = (name) => {
+    const value = Number(vars[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`${name} must be a positive integer, got ${vars[name]}`);
+    }
+    return value;
+  };
+
+  const url = (name, protocols) => {
+    const value = required(name);
+    if (value === undefined) return value;
+
+    const protocol = URL.canParse(value) && new URL(value).protocol;
+    if (!protocols.includes(protocol)) {
+      errors.push(
+        `${name} must be a ${protocols
+          .map((scheme) => `${scheme}//`)
+          .join(" or ")} URL`
+      );
+    }
+    return value;
+  };
+
+  const databaseUrl = url("DATABASE_URL", ["postgres:", "postgresql:"]);
+  const databaseSsl = oneOf("DATABASE_SSL", Object.keys(DATABASE_SSL_OPTIONS));
+
+  const jwtSecret = required("JWT_SECRET");
+  if (
+    profile === "production" &&
+    jwtSecret !== undefined &&
+    jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH
+  ) {
+    errors.push(
+      `JWT_SECRET must have ${MIN_PRODUCTION_SECRET_LENGTH} characters at least in production`
+    );
+  }
+
+  // development and test have a default, production has to list its frontends
+  const corsOrigins = (required("CORS_ORIGINS") ?? "")
+    .split(",")
+    .map((origin) => origin.trim().toLowerCase())
+    .filter(Boolean);
+  for (const origin of corsOrigins) {
+    if (!ORIGIN_PATTERN.test(origin)) {
+      errors.push(
+        `CORS_ORIGINS entries must be origins like https://shop.example.com or https://*.example.com, got ${origin}`
+      );
+    }
+  }
+
+  const cookieSecure = oneOf("COOKIE_SECURE", ["true", "false"]) === "true";
+  const cookieSameSite = oneOf(
+    "COOKIE_SAME_SITE",
+    Object.keys(SAME_SITE_VALUES)
+  );
+  // browsers drop SameSite=None cookies without Secure
+  if (cookieSameSite === "none" && !cookieSecure) {
+    errors.push("COOKIE_SAME_SITE=none needs COOKIE_SECURE=true");
+  }
+
+  const logLevel = oneOf("LOG_LEVEL", [
+    "debug",
+    "info",
+    "warn",
+    "error",
+    "silent",
+  ]);
+
+  // only read by the seed script, optional for the server
+  const adminEmail = vars.ADMIN_EMAIL?.trim().toLowerCase();
+  const adminPassword = vars.ADMIN_PASSWORD;
+  if ((adminEmail === undefined) !== (adminPassword === undefined)) {
+    errors.push("ADMIN_EMAIL and ADMIN_PASSWORD have to be set together");
+  }
+  if (adminEmail !== undefined && !/^[^\s@]+@[^\s@]+$/.test(adminEmail)) {
+    errors.push(`ADMIN_EMAIL must be an email address, got ${adminEmail}`);
+  }
+  if (
+    adminPassword !== undefined &&
+    adminPassword.length < MIN_PASSWORD_LENGTH
+  ) {
+    errors.push(
+      `ADMIN_PASSWORD must have ${MIN_PASSWORD_LENGTH} characters at least`
+    );
+  }
+
+  const imageStorage = oneOf("IMAGE_STORAGE", ["local"]);
+
+  const cacheStore = oneOf("CACHE_STORE", ["memory", "redis"]);
+  const cacheMaxEntries = positiveInteger("CACHE_MAX_ENTRIES");
+  const cacheTtlSeconds = positiveInteger("CACHE_TTL_SECONDS");
+  const redisUrl =
+    cacheStore === "redis" ? url("REDIS_URL", ["redis:", "rediss:"]) : null;
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration (NODE_ENV=${profile}):\n${errors
+        .map((error) => `- ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  return Object.freeze({
+    profile,
+    database: Object.freeze({
+      url: databaseUrl,
+      ssl: DATABASE_SSL_OPTIONS[databaseSsl],
+    }),
+    jwtSecret,
+    allowedOrigins: Object.freeze(corsOrigins.map(toOriginPattern)),
+    cookies: Object.freeze({
+      secure: cookieSecure,
+      sameSite: SAME_SITE_VALUES[cookieSameSite],
+    }),
+    logLevel,
+    admin:
+      adminEmail && adminPassword
+        ? Object.freeze({ email: adminEmail, password: adminPassword })
+        : null,
+    imageStorage: Object.freeze({
+      backend: imageStorage,
+      uploadDir: vars.UPLOAD_DIR,
+    }),
+    cache: Object.freeze({
+      store: cacheStore,
+      maxEntries: cacheMaxEntries,
+      ttlSeconds: cacheTtlSeconds,
+      redisUrl,
+    }),
+  });
+};
+
+dotenv.config();
+
+export const config = loadConfig();
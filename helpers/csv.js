@@ -0,0 +1,116 @@
+/*
+
+Spreadsheet formulas
+
+Spreadsheets run a cell starting with =, +, -, @, a tab or a carriage return as a formula, also
+when it comes from a CSV file. toCsvLine therefore puts a ' in front of such values, which
+spreadsheets show as text, and parseCsv takes it off again. Values that already start with
+' and then one of these characters get one more, so every value reads back unchanged.
+
+*/
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+const ESCAPED_FORMULA_PATTERN = /^'+[=+\-@\t\r]/;
+
+/**
+ * @function parseCsv
+ * @description Parses CSV text (RFC 4180) into records keyed by the header row.
+ * - Fields can be quoted, quotes inside quoted fields are escaped by doubling them ("")
+ * - Quoted fields can contain commas and line breaks
+ * - Blank lines and a leading byte order mark are ignored
+ * - The ' toCsvLine puts in front of formula-like values is removed
+ * @param {string} text - CSV text, the first row being the header
+ * @returns {{records: Object[]}|{error: string}} Records or an error message
+ * @example
+ *  Returns { records: [{ name: "Boot, black", price: "10" }] }
+ * parseCsv('name,price\n"Boot, black",10')
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { error: "CSV has an unterminated quoted field" };
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...dataRows] = rows.filter((r) =>
+    r.some((value) => value.trim() !== "")
+  );
+
+  if (!header) {
+    return { error: "CSV is empty" };
+  }
+
+  const columns = header.map((column) => column.trim());
+
+  return {
+    records: dataRows.map((values) =>
+      Object.fromEntries(
+        columns.map((column, index) => [
+          column,
+          ESCAPED_FORMULA_PATTERN.test(values[index] ?? "")
+            ? values[index].slice(1)
+            : values[index],
+        ])
+      )
+    ),
+  };
+};
+
+const escapeCsvValue = (value) => {
+  const plain = value === null || value === undefined ? "" : String(value);
+  const text = FORMULA_PATTERN.test(plain) ? `'${plain}` : plain;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function toCsvLine
+ * @description Formats values as one CSV line, quoting values that contain commas, quotes or line breaks.
+ * Values a spreadsheet would run as a formula get a ' in front
+ * @param {Array} values - Values of the line, null and undefined become empty fields
+ * @returns {string} CSV line ending with CRLF
+ * @example
+ *  Returns '21,"Boot, black",10\r\n'
+ * toCsvLine([21, "Boot, black", 10])
+ *
+ *  Returns "'=1+1,5\r\n"
+ * toCsvLine(["=1+1", 5])
+ */
+export const toCsvLine = (values) =>
+  `${values.map(escapeCsvValue).join(",")}\r\n`;
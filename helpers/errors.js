@@ -0,0 +1,105 @@
+/**
+ * @class AppError
+ * @description Error with an HTTP status and a stable machine-readable code.
+ * Thrown from controllers and middlewares, turned into a JSON response by errorHandler.
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code, e.g. "PRODUCT_NOT_FOUND"
+ * @param {string} message - Human-readable message
+ * @param {Object} [extra] - Additional fields for the response body, e.g. { errors: [...] }
+ * @example
+ * throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+ *
+ *  Error response:
+ * {
+ *   "message": "Product not found",
+ *   "status": "error",
+ *   "code": "PRODUCT_NOT_FOUND"
+ * }
+ */
+export class AppError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+/**
+ * @function validationError
+ * @description Creates the 422 error for a request that failed validation
+ * @param {Object[]} errors - Errors per field, { field, message }
+ * @returns {AppError} Error with code VALIDATION_FAILED
+ */
+export const validationError = (errors) =>
+  new AppError(422, "VALIDATION_FAILED", "Validation failed", { errors });
+
+/*
+
+Postgres error codes mapped to HTTP errors
+https://www.postgresql.org/docs/current/errcodes-appendix.html
+
+*/
+const POSTGRES_ERRORS = {
+  // unique_violation, e.g. two requests adding the same product name at once
+  23505: () =>
+    new AppError(
+      409,
+      "UNIQUE_VIOLATION",
+      "A record with this value already exists"
+    ),
+  // foreign_key_violation, either referencing a missing row or deleting a referenced one
+  23503: (error) =>
+    /is not present in table/.test(error.detail)
+      ? new AppError(
+          400,
+          "REFERENCE_NOT_FOUND",
+          "A referenced record does not exist"
+        )
+      : new AppError(
+          409,
+          "RECORD_IN_USE",
+          "The record is still referenced by other records"
+        ),
+  // check_violation
+  23514: () =>
+    new AppError(400, "CONSTRAINT_VIOLATION", "A value is not allowed"),
+  // not_null_violation
+  23502: () =>
+    new AppError(400, "CONSTRAINT_VIOLATION", "A required value is missing"),
+  // numeric_value_out_of_range, e.g. a price adjusted beyond numeric(12, 2)
+  22003: () => new AppError(400, "INVALID_VALUE", "A value is out of range"),
+  // invalid_text_representation, e.g. a malformed uuid or number
+  "22P02": () =>
+    new AppError(400, "INVALID_VALUE", "A value has an invalid format"),
+};
+
+/**
+ * @function toAppError
+ * @description Maps any thrown value to an AppError.
+ * - AppErrors are kept as they are
+ * - Postgres errors (also when wrapped by drizzle) are mapped by their SQLSTATE code
+ * - Malformed JSON bodies become 400 INVALID_JSON, oversized bodies 413 PAYLOAD_TOO_LARGE
+ * - Everything else becomes 500 INTERNAL_ERROR
+ * @param {*} error - Thrown value
+ * @returns {AppError} Error to respond with
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+
+  // drizzle wraps driver errors in DrizzleQueryError, the pg error is the cause
+  const databaseError = error?.cause?.code ? error.cause : error;
+  const mapPostgresError = POSTGRES_ERRORS[databaseError?.code];
+  if (mapPostgresError) return mapPostgresError(databaseError);
+
+  if (error?.type === "entity.parse.failed") {
+    return new AppError(400, "INVALID_JSON", "Request body is not valid JSON");
+  }
+
+  if (error?.type === "entity.too.large") {
+    return new AppError(413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+  }
+
+  return new AppError(500, "INTERNAL_ERROR", "Something went wrong");
+};
@@ -0,0 +1,128 @@
+import { createHash } from "node:crypto";
+import { count, max, sql } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { cachedQuery } from "./queryCache.js";
+
+/*
+
+Conditional GET of catalog lists
+
+Lists are answered with a strong ETag and a Last-Modified date, derived from the query and
+the state of the tables the list is built from: their number of rows and their latest change.
+Any change of a product or category gives every list a new ETag, a conditional request
+(If-None-Match or If-Modified-Since) that still matches gets a 304 before the list is fetched.
+
+Deleting a category or purging a product leaves no timestamp behind, only the row counts in
+the ETag catch those. If-Modified-Since is therefore only checked without If-None-Match.
+
+The table states go through the query cache, a warm cache answers without a query.
+
+*/
+
+const TABLE_STATES = {
+  // moving a product to the trash sets deletedAt, not updatedAt
+  products: () =>
+    db
+      .select({
+        rows: count(),
+        lastModified:
+          sql`max(greatest(${products.updatedAt}, ${products.deletedAt}))`.mapWith(
+            products.updatedAt
+          ),
+      })
+      .from(products),
+  categories: () =>
+    db
+      .select({ rows: count(), lastModified: max(categories.updatedAt) })
+      .from(categories),
+};
+
+/**
+ * @function fetchListValidators
+ * @description Computes the ETag and Last-Modified date of a list
+ * @param {Object} query - Express request query the list is built from
+ * @param {("products"|"categories")[]} tableNames - Tables the list is built from
+ * @returns {Promise<{etag: string, lastModified: Date|null}>} Validators, lastModified is null while the tables are empty
+ * @example
+ *  Returns { etag: "\"Xq3...\"", lastModified: 2025-06-07T10:00:00.000Z }
+ * await fetchListValidators({ sort: "price:asc" }, ["products", "categories"])
+ */
+export const fetchListValidators = async (query, tableNames) => {
+  const states = [];
+
+  for (const tableName of tableNames) {
+    const [state] = await cachedQuery(
+      [tableName],
+      `state:${tableName}`,
+      TABLE_STATES[tableName]
+    );
+    states.push({ table: tableName, ...state });
+  }
+
+  const hash = createHash("sha1")
+    .update(JSON.stringify({ query, states }))
+    .digest("base64url");
+
+  // cached as ISO strings
+  const changes = states
+    .map((state) => state.lastModified)
+    .filter(Boolean)
+    .map((date) => Date.parse(date));
+
+  return {
+    etag: `"${hash}"`,
+    lastModified: changes.length > 0 ? new Date(Math.max(...changes)) : null,
+  };
+};
+
+/**
+ * @function isNotModified
+ * @description Checks the validators of a conditional GET against the current ones
+ * @param {Object} req - Express request object
+ * @param {Object} validators - Current validators from fetchListValidators
+ * @returns {boolean} true if the client's copy is still current
+ */
+export const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.get("If-None-Match");
+
+  if (ifNoneMatch !== undefined) {
+    // weak comparison, as If-None-Match asks for
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .some((tag) => tag === "*" || tag === etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.get("If-Modified-Since") ?? "");
+
+  if (Number.isNaN(ifModifiedSince) || !lastModified) return false;
+
+  // HTTP dates have whole seconds
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+};
+
+/**
+ * @function answerConditionalGet
+ * @description Sets ETag and Last-Modified of a list and answers with a 304 if the client's copy is still current
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {("products"|"categories")[]} tableNames - Tables the list is built from
+ * @returns {Promise<boolean>} true if a 304 was sent and the list must not be sent
+ * @example
+ * if (await answerConditionalGet(req, res, ["categories"])) return;
+ */
+export const answerConditionalGet = async (req, res, tableNames) => {
+  const validators = await fetchListValidators(req.query, tableNames);
+
+  res.set("ETag", validators.etag);
+  if (validators.lastModified) {
+    res.set("Last-Modified", validators.lastModified.toUTCString());
+  }
+
+  if (!isNotModified(req, validators)) return false;
+
+  res.status(304).end();
+  return true;
+};
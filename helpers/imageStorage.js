@@ -0,0 +1,55 @@
+import express from "express";
+import { mkdir, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { config } from "./config.js";
+
+/*
+
+Image storage backends
+
+A backend is an object with
+- save(key, buffer, contentType): stores a file under a key like "products/12/<uuid>.png"
+- remove(key): deletes a file, a missing file is not an error
+- url(key): public URL of a file
+- handler (optional): Express middleware serving the files, mounted on publicPath
+
+IMAGE_STORAGE selects the backend, "local" by default. To add one, e.g. for an
+S3-compatible bucket, add a factory to STORAGE_BACKENDS and its name and env vars to
+helpers/config.js.
+
+*/
+
+/**
+ * @function createLocalStorage
+ * @description Stores images on the local disk and serves them with express.static.
+ * Only suitable for a single server with a persistent disk
+ * @param {Object} options
+ * @param {string} options.directory - Directory the files are written to, created when missing
+ * @param {string} options.publicPath - URL path the files are served on
+ * @returns {Object} Storage backend
+ */
+export const createLocalStorage = ({ directory, publicPath }) => {
+  const filePath = (key) => path.join(directory, ...key.split("/"));
+
+  return {
+    save: async (key, buffer) => {
+      await mkdir(path.dirname(filePath(key)), { recursive: true });
+      await writeFile(filePath(key), buffer);
+    },
+    remove: (key) => rm(filePath(key), { force: true }),
+    url: (key) => `${publicPath}/${key}`,
+    publicPath,
+    handler: express.static(directory),
+  };
+};
+
+const STORAGE_BACKENDS = {
+  local: () =>
+    createLocalStorage({
+      directory: path.resolve(config.imageStorage.uploadDir),
+      publicPath: "/uploads",
+    }),
+};
+
+// IMAGE_STORAGE is checked against the backends in helpers/config.js
+export const imageStorage = STORAGE_BACKENDS[config.imageStorage.backend]();
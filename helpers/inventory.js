@@ -0,0 +1,259 @@
+import { and, eq, gte, isNull, sql } from "drizzle-orm";
+import { products } from "../database/schema/product.js";
+import { productVariants } from "../database/schema/productVariant.js";
+import {
+  stockMovements,
+  stockMovementType,
+} from "../database/schema/stockMovement.js";
+import { AppError, validationError } from "./errors.js";
+import { nextUpdatedAt } from "./productVersion.js";
+
+export const LOW_STOCK_THRESHOLD = 5;
+
+export const STOCK_MOVEMENT_TYPES = stockMovementType.enumValues;
+
+/**
+ * @function stockChange
+ * @description Turns the quantity of a movement into the signed change of the stock.
+ * receive and return add stock, sell removes it, adjust is a signed correction
+ * @param {string} type - Movement type, one of receive, sell, adjust, return
+ * @param {number} quantity - Quantity from the request, positive except for an adjustment
+ * @returns {number} Signed change of the stock
+ * @throws {422} If the quantity does not fit the type
+ * @example
+ *  Returns -3
+ * stockChange("sell", 3)
+ */
+export const stockChange = (type, quantity) => {
+  if (type === "adjust") {
+    if (quantity === 0) {
+      throw validationError([
+        { field: "quantity", message: "quantity of an adjustment cannot be 0" },
+      ]);
+    }
+    return quantity;
+  }
+
+  if (quantity < 1) {
+    throw validationError([
+      {
+        field: "quantity",
+        message: `quantity must be at least 1 for a ${type} movement`,
+      },
+    ]);
+  }
+
+  return type === "sell" ? -quantity : quantity;
+};
+
+/**
+ * @function hasVariants
+ * @description Checks whether a product has variants, which then hold its stock
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<boolean>} true if the product has at least one variant
+ */
+const hasVariants = async (executor, productId) => {
+  const [variant] = await executor
+    .select({ id: productVariants.id })
+    .from(productVariants)
+    .where(eq(productVariants.productId, productId))
+    .limit(1);
+
+  return Boolean(variant);
+};
+
+/**
+ * @function recordStockMovement
+ * @description Appends a movement to the ledger and updates the stock of the product, and of the variant if one is given.
+ * The stock of a product with variants is the total of its variants, so its movements have to name a variant.
+ * The stock is changed by conditional UPDATEs, so concurrent sales of the last items
+ * cannot both succeed: the second one waits for the row lock, sees the new stock and fails.
+ * The product row is always locked first, also by the variant changes, so movements and variant changes of a product run one after another.
+ * Every movement gives the product a new version, see helpers/productVersion.js
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {Object} movement
+ * @param {number} movement.productId - ID of the product
+ * @param {number|null} [movement.variantId] - ID of the variant, required for a product with variants
+ * @param {string} movement.type - One of receive, sell, adjust, return
+ * @param {number} movement.quantity - Quantity from the request, see stockChange
+ * @param {string} [movement.note] - Free text, e.g. an order or delivery number
+ * @param {number} [movement.userId] - ID of the user recording the movement
+ * @returns {Promise<Object>} The inserted movement, with the new balance of the product
+ * @throws {422} If the product has variants and no variant is given
+ * @throws {404} If the product does not exist or is trashed, or the variant is not one of its variants
+ * @throws {409} If the movement would make the stock negative
+ */
+export const recordStockMovement = async (
+  executor,
+  { productId, variantId = null, type, quantity, note = null, userId }
+) => {
+  const change = stockChange(type, quantity);
+
+  const [product] = await executor
+    .update(products)
+    .set({
+      stock: sql`${products.stock} + ${change}`,
+      updatedAt: nextUpdatedAt(),
+    })
+    .where(
+      and(
+        eq(products.id, productId),
+        isNull(products.deletedAt),
+        gte(sql`${products.stock} + ${change}`, 0)
+      )
+    )
+    .returning({ stock: products.stock });
+
+  if (!product) {
+    const [current] = await executor
+      .select({ stock: products.stock })
+      .from(products)
+      .where(and(eq(products.id, productId), isNull(products.deletedAt)));
+
+    if (!current) {
+      throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+    }
+
+    throw new AppError(
+      409,
+      "INSUFFICIENT_STOCK",
+      `Not enough stock, ${current.stock} available`,
+      { data: { stock: current.stock } }
+    );
+  }
+
+  if (variantId === null) {
+    if (await hasVariants(executor, productId)) {
+      throw validationError([
+        {
+          field: "variantId",
+          message:
+            "variantId is required, the stock of a product with variants is held by its variants",
+        },
+      ]);
+    }
+  } else {
+    const [variant] = await executor
+      .update(productVariants)
+      .set({
+        stock: sql`${productVariants.stock} + ${change}`,
+        updatedAt: new Date(),
+      })
+      .where(
+        and(
+          eq(productVariants.id, variantId),
+          eq(productVariants.productId, productId),
+          gte(sql`${productVariants.stock} + ${change}`, 0)
+        )
+      )
+      .returning({ stock: productVariants.stock });
+
+    if (!variant) {
+      const [current] = await executor
+        .select({ stock: productVariants.stock })
+        .from(productVariants)
+        .where(
+          and(
+            eq(productVariants.id, variantId),
+            eq(productVariants.productId, productId)
+          )
+        );
+
+      if (!current) {
+        throw new AppError(404, "VARIANT_NOT_FOUND", "Variant not found");
+      }
+
+      throw new AppError(
+        409,
+        "INSUFFICIENT_STOCK",
+        `Not enough stock of the variant, ${current.stock} available`,
+        { data: { stock: current.stock } }
+      );
+    }
+  }
+
+  const [insertedMovement] = await executor
+    .insert(stockMovements)
+    .values({
+      productId,
+      variantId,
+      type,
+      quantity: change,
+      balance: product.stock,
+      note,
+      userId,
+    })
+    .returning();
+
+  return insertedMovement;
+};
+
+/**
+ * @function setVariantStock
+ * @description Sets the stock of a variant to a number, recorded as an adjustment by the difference.
+ * The caller has to hold the lock of the product row, e.g. from editProduct or a variant change
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {Object} change
+ * @param {number} change.productId - ID of the product
+ * @param {number} change.variantId - ID of the variant
+ * @param {number} change.stock - New stock of the variant
+ * @param {string} change.note - Note of the adjustment, e.g. "Variant TEE-M edited"
+ * @param {number} [change.userId] - ID of the user changing the variant
+ * @returns {Promise<Object|null>} The recorded adjustment, null if the stock was already the given one
+ * @throws {404} If the variant is not one of the product's variants
+ */
+export const setVariantStock = async (
+  executor,
+  { productId, variantId, stock, note, userId }
+) => {
+  const [variant] = await executor
+    .select({ stock: productVariants.stock })
+    .from(productVariants)
+    .where(
+      and(
+        eq(productVariants.id, variantId),
+        eq(productVariants.productId, productId)
+      )
+    );
+
+  if (!variant) {
+    throw new AppError(404, "VARIANT_NOT_FOUND", "Variant not found");
+  }
+
+  if (variant.stock === stock) return null;
+
+  return recordStockMovement(executor, {
+    productId,
+    variantId,
+    type: "adjust",
+    quantity: stock - variant.stock,
+    note,
+    userId,
+  });
+};
+
+/**
+ * @function assertNoOwnStock
+ * @description Makes sure a product can get its first variants: stock of the product itself
+ * would not belong to any of them, so it has to be adjusted to 0 first
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<void>}
+ * @throws {409} If the product has no variants and stock of its own
+ */
+export const assertNoOwnStock = async (executor, productId) => {
+  const [product] = await executor
+    .select({ stock: products.stock })
+    .from(products)
+    .where(eq(products.id, productId));
+
+  if (product?.stock > 0 && !(await hasVariants(executor, productId))) {
+    throw new AppError(
+      409,
+      "PRODUCT_HAS_OWN_STOCK",
+      `The product has ${product.stock} in stock without a variant, adjust its stock to 0 before adding variants`,
+      { data: { stock: product.stock } }
+    );
+  }
+};
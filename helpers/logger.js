@@ -0,0 +1,73 @@
+import { config } from "./config.js";
+
+/*
+
+Logging
+
+Every log entry is one line of JSON on stdout with time, level and msg, plus the fields passed
+along, e.g. {"time":"…","level":"info","msg":"Request completed","requestId":"…","status":200}.
+Errors in the fields are written with name, message, code and stack.
+
+LOG_LEVEL sets the lowest level that is written: debug, info, warn, error, or silent for none.
+Inside a request use req.log, which adds the request ID to every entry, see middlewares/requestLogger.js.
+
+*/
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// JSON.stringify writes an Error as {}
+const serializeErrors = (key, value) =>
+  value instanceof Error
+    ? {
+        name: value.name,
+        message: value.message,
+        ...(value.code && { code: value.code }),
+        stack: value.stack,
+      }
+    : value;
+
+/**
+ * @function createLogger
+ * @description Creates a logger writing JSON lines
+ * @param {Object} options
+ * @param {string} options.level - Lowest level that is written
+ * @param {Object} [options.fields] - Fields added to every entry
+ * @param {Function} [options.write] - Writes one line, stdout by default
+ * @returns {Object} Logger with debug, info, warn, error(msg, fields) and child(fields)
+ * @example
+ * const log = createLogger({ level: "info" });
+ * log.warn("Image file removal failed", { error });
+ */
+export const createLogger = ({
+  level,
+  fields = {},
+  write = (line) => process.stdout.write(line),
+}) => {
+  const entry = (entryLevel) => (msg, entryFields) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+
+    write(
+      `${JSON.stringify(
+        {
+          time: new Date().toISOString(),
+          level: entryLevel,
+          msg,
+          ...fields,
+          ...entryFields,
+        },
+        serializeErrors
+      )}\n`
+    );
+  };
+
+  return {
+    debug: entry("debug"),
+    info: entry("info"),
+    warn: entry("warn"),
+    error: entry("error"),
+    child: (childFields) =>
+      createLogger({ level, fields: { ...fields, ...childFields }, write }),
+  };
+};
+
+export const logger = createLogger({ level: config.logLevel });
@@ -0,0 +1,179 @@
+import { asc, desc, sql } from "drizzle-orm";
+import { products } from "../database/schema/product.js";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/*
+
+Sortable product fields
+
+- cast is the Postgres type used to turn a cursor value back into a column value
+
+*/
+const SORTABLE_FIELDS = {
+  price: { column: products.price, cast: "numeric" },
+  name: { column: products.name, cast: "text" },
+  createdAt: { column: products.createdAt, cast: "timestamp" },
+  updatedAt: { column: products.updatedAt, cast: "timestamp" },
+};
+
+const parsePositiveInteger = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * @function encodeCursor
+ * @description Encodes the sort value and id of the last row of a page into an opaque cursor string.
+ * The sort is kept in the cursor, the value only means something to the listing sorted the same way.
+ * @param {Object} position - Position of the last row
+ * @param {string} position.value - Sort column value of the row, as text
+ * @param {number} position.id - ID of the row
+ * @param {string} position.sort - Sort of the listing as "field:direction", the key returned by parseSort
+ * @returns {string} Base64url encoded cursor
+ * @example
+ *  Returns "eyJ2YWx1ZSI6IjMiLCJpZCI6MjAsInNvcnQiOiJwcmljZTphc2MifQ"
+ * encodeCursor({ value: "3", id: 20, sort: "price:asc" })
+ */
+export const encodeCursor = ({ value, id, sort }) =>
+  Buffer.from(JSON.stringify({ value, id, sort })).toString("base64url");
+
+/**
+ * @function decodeCursor
+ * @description Decodes a cursor created by encodeCursor
+ * @param {string} cursor - Cursor string from the query
+ * @returns {{value: string, id: number, sort: string}|null} The decoded position or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      typeof decoded?.value !== "string" ||
+      !Number.isInteger(decoded?.id) ||
+      typeof decoded?.sort !== "string"
+    ) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @function parsePagination
+ * @description Reads cursor (limit/cursor) or offset (page/pageSize) pagination parameters from a query.
+ * - limit and pageSize are aliases, capped at MAX_PAGE_SIZE
+ * - cursor takes precedence over page
+ * - a cursor is only valid for the sort of the listing that returned it
+ * @param {Object} query - Express request query
+ * @param {string} [query.limit] - Number of items per page
+ * @param {string} [query.pageSize] - Alias of limit
+ * @param {string} [query.cursor] - Cursor returned as nextCursor by a previous page
+ * @param {string} [query.page] - 1-based page number
+ * @param {Object} [options] - Pagination options
+ * @param {Object} [options.sort] - Sort returned by parseSort, a cursor from another sort is rejected
+ * @returns {{limit: number, page: number|null, offset: number, cursor: Object|null}|{error: {field: string, message: string}}} Parsed pagination or the field error
+ * @example
+ *  Returns { limit: 10, page: 2, offset: 10, cursor: null }
+ * parsePagination({ page: "2", pageSize: "10" })
+ */
+export const parsePagination = (query, { sort } = {}) => {
+  const rawLimit = query.limit ?? query.pageSize;
+  const limit =
+    rawLimit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInteger(rawLimit);
+
+  if (!limit) {
+    return {
+      error: { field: "limit", message: "limit must be a positive integer" },
+    };
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: { field: "cursor", message: "Invalid cursor" } };
+    }
+    if (sort?.key && cursor.sort !== sort.key) {
+      return {
+        error: {
+          field: "cursor",
+          message: `cursor belongs to sort ${cursor.sort}, start again without it to sort by ${sort.key}`,
+        },
+      };
+    }
+    return {
+      limit: Math.min(limit, MAX_PAGE_SIZE),
+      page: null,
+      offset: 0,
+      cursor,
+    };
+  }
+
+  const page = query.page === undefined ? 1 : parsePositiveInteger(query.page);
+
+  if (!page) {
+    return {
+      error: { field: "page", message: "page must be a positive integer" },
+    };
+  }
+
+  const cappedLimit = Math.min(limit, MAX_PAGE_SIZE);
+
+  return {
+    limit: cappedLimit,
+    page,
+    offset: (page - 1) * cappedLimit,
+    cursor: null,
+  };
+};
+
+/**
+ * @function parseSort
+ * @description Parses a "field:direction" sort parameter for the product listing.
+ * - Supported fields: price, name, createdAt, updatedAt
+ * - Direction defaults to asc, the whole parameter defaults to "createdAt:desc"
+ * - Product id is always used as a tie breaker so cursors stay stable
+ * @param {string} [sortParam] - Sort parameter from the query
+ * @returns {Object|{error: {field: string, message: string}}} Sort descriptor or the field error
+ * @example
+ *  Sorts by price, most expensive first
+ * parseSort("price:desc")
+ */
+export const parseSort = (sortParam = "createdAt:desc") => {
+  const [field, direction = "asc"] = String(sortParam).split(":");
+  const sortable = SORTABLE_FIELDS[field];
+
+  if (!sortable || !["asc", "desc"].includes(direction)) {
+    return {
+      error: {
+        field: "sort",
+        message: `Invalid sort. Use one of ${Object.keys(SORTABLE_FIELDS).join(
+          ", "
+        )} with :asc or :desc`,
+      },
+    };
+  }
+
+  const order = direction === "desc" ? desc : asc;
+
+  return {
+    field,
+    direction,
+    // Kept in cursors, see encodeCursor
+    key: `${field}:${direction}`,
+    column: sortable.column,
+    orderBy: [order(sortable.column), order(products.id)],
+    // Sort value as text, so the cursor keeps the full column precision
+    cursorValue: sql`${sortable.column}::text`,
+    /**
+     * Condition selecting the rows that come after the cursor position
+     * @param {{value: string, id: number}} cursor
+     */
+    after: (cursor) =>
+      sql`(${sortable.column}, ${products.id}) ${sql.raw(
+        direction === "desc" ? "<" : ">"
+      )} (${cursor.value}::${sql.raw(sortable.cast)}, ${cursor.id})`,
+  };
+};
@@ -0,0 +1,36 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * @function hashPassword
+ * @description Hashes a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the "scrypt$<salt>$<key>" format, both hex encoded
+ */
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString("hex");
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+
+  return `scrypt$${salt}$${key.toString("hex")}`;
+};
+
+/**
+ * @function verifyPassword
+ * @description Checks a password against a hash created by hashPassword, in constant time
+ * @param {string} password - Plain text password
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  const [algorithm, salt, storedKey] = passwordHash.split("$");
+  if (algorithm !== "scrypt" || !salt || !storedKey) return false;
+
+  const storedKeyBuffer = Buffer.from(storedKey, "hex");
+  const key = await scryptAsync(password, salt, storedKeyBuffer.length);
+
+  return timingSafeEqual(key, storedKeyBuffer);
+};
@@ -0,0 +1,190 @@
+import { and, eq, inArray, sql } from "drizzle-orm";
+import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import { validateFields } from "../middlewares/validate.js";
+import {
+  BULK_OPERATION_TYPES,
+  bulkOperationFields,
+} from "../validators/productValidator.js";
+import { diffSnapshots, recordAudit, snapshotProduct } from "./audit.js";
+import { touchProduct } from "./products.js";
+
+/**
+ * @function validateOperation
+ * @description Validates one bulk operation against the rules of its type
+ * @param {Object} operation - Operation from the request body
+ * @returns {{value: Object, errors: Object[]}} Operation with coerced fields, and the errors found
+ */
+const validateOperation = (operation) => {
+  const { value, errors } = validateFields(operation, {
+    type: { type: "string", required: true, oneOf: BULK_OPERATION_TYPES },
+  });
+
+  if (errors.length > 0) return { value, errors };
+
+  return validateFields(value, bulkOperationFields[value.type]);
+};
+
+/**
+ * @function applyToProduct
+ * @description Applies one operation to one active product
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {Object} operation - Validated operation
+ * @param {number} productId - ID of the product
+ * @param {Object} before - Snapshot of the product before the operation
+ * @returns {Promise<string|null>} Error message or null when the operation was applied
+ */
+const applyToProduct = async (executor, operation, productId, before) => {
+  switch (operation.type) {
+    case "setPrice":
+      await executor
+        .update(products)
+        .set({ price: operation.price })
+        .where(eq(products.id, productId));
+      return null;
+
+    case "adjustPrice":
+      // computed on the numeric column, so no floating point is involved
+      await executor
+        .update(products)
+        .set({
+          price: sql`round(${products.price} * (100 + ${operation.percent}::numeric) / 100, 2)`,
+        })
+        .where(eq(products.id, productId));
+      return null;
+
+    case "addCategories":
+      await executor
+        .insert(productCategories)
+        .values(
+          operation.categoryIds.map((categoryId) => ({ productId, categoryId }))
+        )
+        .onConflictDoNothing();
+      return null;
+
+    case "removeCategories": {
+      const remaining = before.categoryIds.filter(
+        (categoryId) => !operation.categoryIds.includes(categoryId)
+      );
+
+      if (remaining.length === 0) {
+        return "A product needs at least one category";
+      }
+
+      await executor
+        .delete(productCategories)
+        .where(
+          and(
+            eq(productCategories.productId, productId),
+            inArray(productCategories.categoryId, operation.categoryIds)
+          )
+        );
+      return null;
+    }
+
+    case "delete":
+      await executor
+        .update(products)
+        .set({ deletedAt: new Date() })
+        .where(eq(products.id, productId));
+      return null;
+  }
+};
+
+/**
+ * @function applyBulkOperations
+ * @description Applies a list of operations to sets of products, in order.
+ * - setPrice: { productIds, price }
+ * - adjustPrice: { productIds, percent }, the new price is rounded to 2 decimal places
+ * - addCategories / removeCategories: { productIds, categoryIds }, a product keeps at least one category
+ * - delete: { productIds }, moves the products to the trash
+ * Only active products can be changed. Later operations see the changes of earlier ones.
+ * Run it in a transaction and roll back when a result is an error.
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {Object[]} operations - Operations from the request body
+ * @param {Object} options
+ * @param {number} [options.userId] - ID of the user, for the audit log
+ * @returns {Promise<Object[]>} One result per operation and product, { operation, productId, status, changes | errors }
+ */
+export const applyBulkOperations = async (executor, operations, { userId }) => {
+  const results = [];
+
+  for (const [operationIndex, rawOperation] of operations.entries()) {
+    const { value: operation, errors } = validateOperation(rawOperation);
+
+    if (errors.length === 0 && operation.categoryIds) {
+      const existingCategories = await executor
+        .select({ id: categories.id })
+        .from(categories)
+        .where(inArray(categories.id, operation.categoryIds));
+
+      const existingIds = existingCategories.map((category) => category.id);
+      const missingIds = operation.categoryIds.filter(
+        (categoryId) => !existingIds.includes(categoryId)
+      );
+
+      if (missingIds.length > 0) {
+        errors.push({
+          field: "categoryIds",
+          message: `Categories not found: ${missingIds.join(", ")}`,
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      results.push({ operation: operationIndex, status: "error", errors });
+      continue;
+    }
+
+    for (const productId of operation.productIds) {
+      const result = { operation: operationIndex, productId };
+      const before = await snapshotProduct(executor, productId);
+
+      const error =
+        !before || before.deletedAt
+          ? "Product not found"
+          : await applyToProduct(executor, operation, productId, before);
+
+      if (error) {
+        results.push({
+          ...result,
+          status: "error",
+          errors: [{ field: "productIds", message: error }],
+        });
+        continue;
+      }
+
+      const after = await snapshotProduct(executor, productId);
+      const changes = diffSnapshots(before, after);
+
+      if (Object.keys(changes).length === 0) {
+        results.push({ ...result, status: "unchanged" });
+        continue;
+      }
+
+      const action = operation.type === "delete" ? "delete" : "update";
+
+      if (action === "update") {
+        await touchProduct(executor, productId);
+      }
+
+      await recordAudit(executor, {
+        entityType: "product",
+        entityId: productId,
+        action,
+        userId,
+        before,
+        after,
+      });
+
+      results.push({
+        ...result,
+        status: action === "delete" ? "deleted" : "updated",
+        changes,
+      });
+    }
+  }
+
+  return results;
+};
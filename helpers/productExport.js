@@ -0,0 +1,56 @@
+import { once } from "node:events";
+import { toCsvLine } from "./csv.js";
+import { CATEGORY_SEPARATOR } from "./productImport.js";
+
+export const EXPORT_BATCH_SIZE = 500;
+
+/*
+
+Export formats
+
+Every format writes a header, one chunk per product and a footer. Products are
+{ id, name, price, currency, categories } with human-readable category names, the same
+shape POST /api/products/import reads, so an export can be imported again.
+
+*/
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    header: toCsvLine(["id", "name", "price", "currency", "categories"]),
+    formatProduct: (product) =>
+      toCsvLine([
+        product.id,
+        product.name,
+        product.price,
+        product.currency,
+        product.categories.join(CATEGORY_SEPARATOR),
+      ]),
+    footer: "",
+  },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    header: "[",
+    formatProduct: (product, index) =>
+      `${index > 0 ? "," : ""}\n${JSON.stringify(product)}`,
+    footer: "\n]\n",
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    header: "",
+    formatProduct: (product) => `${JSON.stringify(product)}\n`,
+    footer: "",
+  },
+};
+
+/**
+ * @function writeChunk
+ * @description Writes to a response, waiting for the client to catch up when its buffer is full
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>} Resolves once more data can be written or the connection closed
+ */
+export const writeChunk = async (res, chunk) => {
+  if (chunk === "" || res.write(chunk)) return;
+
+  await Promise.race([once(res, "drain"), once(res, "close")]);
+};
@@ -0,0 +1,122 @@
+import { and, asc, count, eq, inArray, max, min, sql } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import { reformatCategoryNameResponse } from "./reformatCategoryName.js";
+
+export const PRICE_BUCKET_COUNT = 5;
+
+const toCents = (price) => Math.round(Number(price) * 100);
+
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * @function priceBucketEdges
+ * @description Splits a price range into about PRICE_BUCKET_COUNT buckets with a round width (1, 2 or 5 times a power of 10).
+ * Computed in cents, so no floating point rounding ends up in an edge
+ * @param {string} minPrice - Lowest price of the range
+ * @param {string} maxPrice - Highest price of the range
+ * @returns {number[]} Ascending bucket edges in cents, the last one is above maxPrice
+ * @example
+ *  Returns [0, 2000, 4000, 6000, 8000, 10000]
+ * priceBucketEdges("3.00", "99.99")
+ */
+export const priceBucketEdges = (minPrice, maxPrice) => {
+  const minCents = toCents(minPrice);
+  const maxCents = toCents(maxPrice);
+
+  const rawWidth = Math.max((maxCents - minCents) / PRICE_BUCKET_COUNT, 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rawWidth));
+  const width =
+    [1, 2, 5, 10].find((factor) => factor * magnitude >= rawWidth) * magnitude;
+
+  const edges = [Math.floor(minCents / width) * width];
+  while (edges[edges.length - 1] <= maxCents) {
+    edges.push(edges[edges.length - 1] + width);
+  }
+
+  return edges;
+};
+
+/**
+ * @function fetchCategoryFacet
+ * @description Counts the matching products of every category, categories without any are included with 0.
+ * A product counts for each category it is directly assigned to
+ * @param {Array} conditions - Product conditions from buildProductFilterConditions
+ * @returns {Promise<Object[]>} { id, name, parentId, count } per category, ordered by name
+ */
+export const fetchCategoryFacet = async (conditions) => {
+  const matchingProductIds = db
+    .select({ id: products.id })
+    .from(products)
+    .where(and(...conditions));
+
+  const categoryRows = await db
+    .select({
+      id: categories.id,
+      name: categories.name,
+      parentId: categories.parentId,
+      count: count(productCategories.productId),
+    })
+    .from(categories)
+    .leftJoin(
+      productCategories,
+      and(
+        eq(productCategories.categoryId, categories.id),
+        inArray(productCategories.productId, matchingProductIds)
+      )
+    )
+    .groupBy(categories.id)
+    .orderBy(asc(categories.name));
+
+  return categoryRows.map((category) => ({
+    ...category,
+    name: reformatCategoryNameResponse(category.name),
+  }));
+};
+
+/**
+ * @function fetchPriceFacet
+ * @description Fetches the price range of the matching products and counts them per price bucket.
+ * Every bucket includes its from price and excludes its to price, empty buckets are included.
+ * Prices are compared as numbers, whatever their currency, like the minPrice and maxPrice filters
+ * @param {Array} conditions - Product conditions from buildProductFilterConditions
+ * @returns {Promise<{min: string|null, max: string|null, buckets: Object[]}>} Range and { from, to, count } buckets, null and no buckets without products
+ */
+export const fetchPriceFacet = async (conditions) => {
+  const [range] = await db
+    .select({ min: min(products.price), max: max(products.price) })
+    .from(products)
+    .where(and(...conditions));
+
+  if (range.min === null) {
+    return { min: null, max: null, buckets: [] };
+  }
+
+  const edges = priceBucketEdges(range.min, range.max);
+  const edgeArray = `{${edges.map(fromCents).join(",")}}`;
+  const bucketIndex = sql`width_bucket(${products.price}, ${edgeArray}::numeric[])`;
+
+  const bucketRows = await db
+    .select({ index: bucketIndex, count: count() })
+    .from(products)
+    .where(and(...conditions))
+    // by position, the edges are a parameter and would not match a repeated expression
+    .groupBy(sql`1`);
+
+  // width_bucket numbers the bucket between edges[i - 1] and edges[i] as i
+  const counts = new Map(
+    bucketRows.map((bucket) => [Number(bucket.index), bucket.count])
+  );
+
+  return {
+    min: range.min,
+    max: range.max,
+    buckets: edges.slice(1).map((edge, index) => ({
+      from: fromCents(edges[index]),
+      to: fromCents(edge),
+      count: counts.get(index + 1) ?? 0,
+    })),
+  };
+};
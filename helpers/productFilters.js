@@ -0,0 +1,255 @@
+import {
+  countDistinct,
+  eq,
+  gt,
+  gte,
+  ilike,
+  inArray,
+  isNotNull,
+  isNull,
+  lte,
+  notInArray,
+} from "drizzle-orm";
+import { db } from "../database/db.js";
+import { products } from "../database/schema/product.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import { categorySubtreeIds } from "./categoryTree.js";
+
+const CATEGORY_MATCH_MODES = ["any", "all"];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Parses a list of IDs given either as a JSON array ("[1,4]") or comma separated ("1,4")
+ * @returns {number[]|null} Unique IDs or null if the value is malformed
+ */
+const parseIdList = (value) => {
+  let ids;
+
+  try {
+    ids = String(value).trim().startsWith("[")
+      ? JSON.parse(value)
+      : String(value).split(",");
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(ids)) return null;
+
+  const parsed = ids.map((id) => Number(id));
+  if (!parsed.every((id) => Number.isInteger(id) && id > 0)) return null;
+
+  return [...new Set(parsed)];
+};
+
+const parsePrice = (value) => {
+  if (String(value).trim() === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+const parseDate = (value) => {
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * @function parseProductFilters
+ * @description Parses and validates the product listing filters from a query.
+ * Every filter is optional, malformed values are reported per field instead of thrown.
+ * @param {Object} query - Express request query
+ * @param {string} [query.name] - Case-insensitive product name search
+ * @param {string} [query.categoryIds] - Category IDs as a JSON array or comma separated list
+ * @param {string} [query.categoryMatch] - "all" (default) requires every category, "any" requires at least one
+ * @param {string} [query.excludeCategoryIds] - Category IDs a product must not belong to
+ * @param {string} [query.includeDescendants] - "true" to let every category ID also match its subcategories
+ * @param {string} [query.minPrice] - Minimum price (inclusive)
+ * @param {string} [query.maxPrice] - Maximum price (inclusive)
+ * @param {string} [query.currency] - ISO 4217 code, only products priced in this currency
+ * @param {string} [query.inStock] - "true" to only keep products with stock left
+ * @param {string} [query.createdAfter] - ISO date, only products created at or after it
+ * @param {string} [query.updatedSince] - ISO date, only products updated at or after it
+ * @returns {{filters: Object, errors: {field: string, message: string}[]}} Parsed filters and the errors, empty if every filter is valid
+ * @example
+ *  Returns { filters: { categoryIds: [1, 4], categoryMatch: "any", minPrice: 10, ... }, errors: [] }
+ * parseProductFilters({ categoryIds: "[1,4]", categoryMatch: "any", minPrice: "10" })
+ */
+export const parseProductFilters = (query) => {
+  const filters = {
+    name: query.name || null,
+    categoryIds: [],
+    categoryMatch: query.categoryMatch || "all",
+    excludeCategoryIds: [],
+    includeDescendants: query.includeDescendants === "true",
+    minPrice: null,
+    maxPrice: null,
+    currency: query.currency || null,
+    inStock: query.inStock === "true",
+    createdAfter: null,
+    updatedSince: null,
+  };
+  const errors = [];
+
+  for (const key of ["categoryIds", "excludeCategoryIds"]) {
+    if (query[key] === undefined || query[key] === "") continue;
+
+    filters[key] = parseIdList(query[key]);
+    if (!filters[key]) {
+      filters[key] = [];
+      errors.push({
+        field: key,
+        message: `${key} must be a list of positive integer IDs, e.g. [1,4] or 1,4`,
+      });
+    }
+  }
+
+  if (!CATEGORY_MATCH_MODES.includes(filters.categoryMatch)) {
+    errors.push({
+      field: "categoryMatch",
+      message: "categoryMatch must be either any or all",
+    });
+  }
+
+  for (const key of ["minPrice", "maxPrice"]) {
+    if (query[key] === undefined) continue;
+
+    filters[key] = parsePrice(query[key]);
+    if (filters[key] === null) {
+      errors.push({
+        field: key,
+        message: `${key} must be a non-negative number`,
+      });
+    }
+  }
+
+  if (
+    filters.minPrice !== null &&
+    filters.maxPrice !== null &&
+    filters.minPrice > filters.maxPrice
+  ) {
+    errors.push({
+      field: "minPrice",
+      message: "minPrice cannot be greater than maxPrice",
+    });
+  }
+
+  if (filters.currency && !CURRENCY_PATTERN.test(filters.currency)) {
+    errors.push({
+      field: "currency",
+      message: "currency must be a 3-letter ISO 4217 code, e.g. USD",
+    });
+  }
+
+  for (const key of ["createdAfter", "updatedSince"]) {
+    if (query[key] === undefined) continue;
+
+    filters[key] = parseDate(query[key]);
+    if (!filters[key]) {
+      errors.push({ field: key, message: `${key} must be a valid date` });
+    }
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * Subquery selecting the IDs of products that belong to at least one of the given categories
+ * @param {number[]|SQL} categoryIds - Category IDs or a subquery returning them
+ */
+const productsInCategories = (categoryIds) =>
+  db
+    .select({ productId: productCategories.productId })
+    .from(productCategories)
+    .where(inArray(productCategories.categoryId, categoryIds))
+    .$dynamic();
+
+/**
+ * @function buildProductFilterConditions
+ * @description Turns parsed filters into SQL conditions on the products table.
+ * Category filters are subqueries on product_categories, so every filter composes into one query.
+ * With includeDescendants, each requested category matches itself and its whole subtree.
+ * Trashed products are excluded, unless filters.trashed is set, which selects only trashed products.
+ * @param {Object} filters - Filters returned by parseProductFilters
+ * @param {boolean} [filters.trashed] - true to select products in the trash instead of active ones
+ * @returns {Array} Conditions to combine with and()
+ * @example
+ * db.select().from(products).where(and(...buildProductFilterConditions(filters)))
+ */
+export const buildProductFilterConditions = (filters) => {
+  const conditions = [
+    filters.trashed
+      ? isNotNull(products.deletedAt)
+      : isNull(products.deletedAt),
+  ];
+  const expand = (categoryIds) =>
+    filters.includeDescendants ? categorySubtreeIds(categoryIds) : categoryIds;
+
+  if (filters.categoryIds.length > 0) {
+    if (filters.categoryMatch === "any") {
+      conditions.push(
+        inArray(products.id, productsInCategories(expand(filters.categoryIds)))
+      );
+    } else if (filters.includeDescendants) {
+      // Products need to be somewhere in *each* of the requested subtrees
+      for (const categoryId of filters.categoryIds) {
+        conditions.push(
+          inArray(products.id, productsInCategories(expand([categoryId])))
+        );
+      }
+    } else {
+      // Keep only products that matched *all* required categories
+      conditions.push(
+        inArray(
+          products.id,
+          productsInCategories(filters.categoryIds)
+            .groupBy(productCategories.productId)
+            .having(
+              eq(
+                countDistinct(productCategories.categoryId),
+                filters.categoryIds.length
+              )
+            )
+        )
+      );
+    }
+  }
+
+  if (filters.excludeCategoryIds.length > 0) {
+    conditions.push(
+      notInArray(
+        products.id,
+        productsInCategories(expand(filters.excludeCategoryIds))
+      )
+    );
+  }
+
+  if (filters.name) {
+    conditions.push(ilike(products.name, `%${filters.name}%`));
+  }
+
+  if (filters.minPrice !== null) {
+    conditions.push(gte(products.price, filters.minPrice));
+  }
+
+  if (filters.maxPrice !== null) {
+    conditions.push(lte(products.price, filters.maxPrice));
+  }
+
+  if (filters.currency) {
+    conditions.push(eq(products.currency, filters.currency));
+  }
+
+  if (filters.inStock) {
+    conditions.push(gt(products.stock, 0));
+  }
+
+  if (filters.createdAfter) {
+    conditions.push(gte(products.createdAt, filters.createdAfter));
+  }
+
+  if (filters.updatedSince) {
+    conditions.push(gte(products.updatedAt, filters.updatedSince));
+  }
+
+  return conditions;
+};
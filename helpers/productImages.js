@@ -0,0 +1,151 @@
+import { asc, eq, inArray } from "drizzle-orm";
+import { productImages } from "../database/schema/productImage.js";
+import { imageStorage } from "./imageStorage.js";
+import { logger } from "./logger.js";
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+/*
+
+Accepted image types, with the leading bytes identifying them
+
+The declared content type of an upload has to match its content, so a renamed file is rejected
+
+*/
+const IMAGE_TYPES = {
+  "image/jpeg": {
+    extension: ".jpg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  "image/png": {
+    extension: ".png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  "image/gif": {
+    extension: ".gif",
+    matches: (buffer) => /^GIF8[79]a/.test(buffer.toString("latin1", 0, 6)),
+  },
+  "image/webp": {
+    extension: ".webp",
+    matches: (buffer) =>
+      buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP",
+  },
+};
+
+export const IMAGE_CONTENT_TYPES = Object.keys(IMAGE_TYPES);
+
+/**
+ * @function checkImageFile
+ * @description Checks that an uploaded file is an accepted image whose content matches its declared type
+ * @param {Object} file - File parsed by multer, { originalname, mimetype, buffer }
+ * @returns {string|null} Error message or null if the file is accepted
+ */
+export const checkImageFile = (file) => {
+  const imageType = IMAGE_TYPES[file.mimetype];
+
+  if (!imageType) {
+    return `${
+      file.originalname
+    }: content type must be one of ${IMAGE_CONTENT_TYPES.join(", ")}`;
+  }
+
+  if (!imageType.matches(file.buffer)) {
+    return `${file.originalname}: content is not a valid ${file.mimetype} image`;
+  }
+
+  return null;
+};
+
+/**
+ * @function imageExtension
+ * @description File extension of an accepted image content type
+ * @param {string} contentType - One of IMAGE_CONTENT_TYPES
+ * @returns {string} Extension with the dot, e.g. ".png"
+ */
+export const imageExtension = (contentType) =>
+  IMAGE_TYPES[contentType].extension;
+
+/**
+ * @function toImageResponse
+ * @description Picks the public fields of an image and adds its URL
+ * @param {Object} image - Row of product_images
+ * @returns {{id: number, url: string, contentType: string, size: number, position: number, isPrimary: boolean}} Image for a response
+ */
+export const toImageResponse = (image) => ({
+  id: image.id,
+  url: imageStorage.url(image.storageKey),
+  contentType: image.contentType,
+  size: image.size,
+  position: image.position,
+  isPrimary: image.isPrimary,
+});
+
+/**
+ * @function fetchImagesByProduct
+ * @description Fetches the images of the given products in display order
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number[]} productIds - IDs of the products
+ * @returns {Promise<Map<number, Object[]>>} Images by product ID, only for products that have any
+ */
+export const fetchImagesByProduct = async (executor, productIds) => {
+  const imagesByProduct = new Map();
+
+  if (productIds.length === 0) return imagesByProduct;
+
+  const imageRows = await executor
+    .select()
+    .from(productImages)
+    .where(inArray(productImages.productId, productIds))
+    .orderBy(asc(productImages.position), asc(productImages.id));
+
+  for (const image of imageRows) {
+    if (!imagesByProduct.has(image.productId)) {
+      imagesByProduct.set(image.productId, []);
+    }
+    imagesByProduct.get(image.productId).push(toImageResponse(image));
+  }
+
+  return imagesByProduct;
+};
+
+/**
+ * @function removeImageFiles
+ * @description Deletes image files from the storage after their rows are gone.
+ * Failures are logged and not thrown, the database is already consistent and a leftover file is harmless
+ * @param {string[]} storageKeys - Keys of the files
+ * @returns {Promise<void>}
+ */
+export const removeImageFiles = async (storageKeys) => {
+  const results = await Promise.allSettled(
+    storageKeys.map((storageKey) => imageStorage.remove(storageKey))
+  );
+
+  for (const result of results) {
+    if (result.status === "rejected") {
+      logger.warn("Image file removal failed", { error: result.reason });
+    }
+  }
+};
+
+/**
+ * @function fetchImageKeys
+ * @description Fetches the storage keys of all images of a product, e.g. to remove the files once the product is purged
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<string[]>} Storage keys
+ */
+export const fetchImageKeys = async (executor, productId) => {
+  const images = await executor
+    .select({ storageKey: productImages.storageKey })
+    .from(productImages)
+    .where(eq(productImages.productId, productId));
+
+  return images.map((image) => image.storageKey);
+};
@@ -0,0 +1,290 @@
+import { and, eq, isNull } from "drizzle-orm";
+import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import { validateFields } from "../middlewares/validate.js";
+import { importProductRowFields } from "../validators/productValidator.js";
+import {
+  diffSnapshots,
+  recordAudit,
+  snapshotCategory,
+  snapshotProduct,
+} from "./audit.js";
+import { parseCsv } from "./csv.js";
+import { reformatCategoryNameInput } from "./reformatCategoryName.js";
+import { nextUpdatedAt } from "./productVersion.js";
+import { generateUniqueSlug } from "./slugs.js";
+
+export const IMPORT_MAX_ROWS = 1000;
+
+// 2 KB per row covers a full-length name, price, currency and a few category names, as JSON or CSV
+export const IMPORT_MAX_BODY_BYTES = IMPORT_MAX_ROWS * 2048;
+
+// Separator of multiple category names in one CSV cell, e.g. "Shoes|Female Clothing"
+export const CATEGORY_SEPARATOR = "|";
+
+const splitCategoryNames = (value) =>
+  typeof value === "string"
+    ? value
+        .split(CATEGORY_SEPARATOR)
+        .map((name) => name.trim())
+        .filter(Boolean)
+    : value;
+
+/**
+ * @function readImportRows
+ * @description Reads the rows of a product import from the request body.
+ * - text/csv bodies need a header row with the columns name, price and categories, currency is optional
+ * - JSON bodies are an array of { name, price, currency, categories } objects
+ * - categories is a list of category names, either an array or a "|" separated string
+ * @param {Object} req - Express request object
+ * @returns {{rows: Object[]}|{error: string}} Rows to import or an error message
+ * @example
+ *  CSV body:
+ * name,price,categories
+ * Boot,10,Shoes|Female Clothing
+ */
+export const readImportRows = (req) => {
+  let rows = req.body;
+
+  if (req.is("text/csv")) {
+    const parsed = parseCsv(req.body ?? "");
+    if (parsed.error) return parsed;
+    rows = parsed.records;
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return {
+      error: "Import needs a non-empty JSON array of products or CSV text",
+    };
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return {
+      error: `Import is limited to ${IMPORT_MAX_ROWS} rows, got ${rows.length}`,
+    };
+  }
+
+  return {
+    rows: rows.map((row) => ({
+      ...row,
+      categories: splitCategoryNames(row?.categories),
+    })),
+  };
+};
+
+/**
+ * @function importProductRows
+ * @description Creates or updates products row by row, matching active products by name.
+ * - Category names go through reformatCategoryNameInput, missing categories are an error
+ *   unless createMissingCategories is set, which creates them as top level categories
+ * - A row equal to the existing product (price, currency and categories) is skipped
+ * - Without a currency new products get the default currency and existing ones keep theirs
+ * - Invalid rows are reported and left out, the other rows are still written
+ * Run it in a transaction and roll back when the report has errors or for a dry run.
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {Object[]} rows - Rows returned by readImportRows
+ * @param {Object} options
+ * @param {boolean} options.createMissingCategories - true to create unknown categories
+ * @param {number} [options.userId] - ID of the importing user, for the audit log
+ * @returns {Promise<Object>} Report with the outcome of every row and the created categories
+ */
+export const importProductRows = async (
+  executor,
+  rows,
+  { createMissingCategories, userId }
+) => {
+  const report = { rows: [], createdCategories: [] };
+  const categoryIdsByName = new Map();
+  const rowNumbersByName = new Map();
+
+  const resolveCategoryId = async (categoryName) => {
+    const formattedName = reformatCategoryNameInput(categoryName);
+
+    if (!categoryIdsByName.has(formattedName)) {
+      const [category] = await executor
+        .select({ id: categories.id })
+        .from(categories)
+        .where(eq(categories.name, formattedName));
+
+      categoryIdsByName.set(formattedName, category?.id ?? null);
+    }
+
+    if (categoryIdsByName.get(formattedName) || !createMissingCategories) {
+      return categoryIdsByName.get(formattedName);
+    }
+
+    const [createdCategory] = await executor
+      .insert(categories)
+      .values({
+        name: formattedName,
+        slug: await generateUniqueSlug(executor, "category", formattedName),
+      })
+      .returning({ id: categories.id });
+
+    await recordAudit(executor, {
+      entityType: "category",
+      entityId: createdCategory.id,
+      action: "create",
+      userId,
+      before: null,
+      after: await snapshotCategory(executor, createdCategory.id),
+    });
+
+    categoryIdsByName.set(formattedName, createdCategory.id);
+    report.createdCategories.push({
+      id: createdCategory.id,
+      name: categoryName,
+    });
+
+    return createdCategory.id;
+  };
+
+  for (const [index, rawRow] of rows.entries()) {
+    const rowNumber = index + 1;
+    const { value: row, errors } = validateFields(
+      rawRow,
+      importProductRowFields
+    );
+    const result = { row: rowNumber, name: row.name ?? null };
+
+    if (errors.length === 0 && rowNumbersByName.has(row.name)) {
+      errors.push({
+        field: "name",
+        message: `name is already used by row ${rowNumbersByName.get(
+          row.name
+        )}`,
+      });
+    }
+
+    if (errors.length > 0) {
+      report.rows.push({ ...result, status: "error", errors });
+      continue;
+    }
+
+    rowNumbersByName.set(row.name, rowNumber);
+
+    const categoryIds = new Set();
+    const missingCategories = [];
+
+    for (const categoryName of row.categories) {
+      const categoryId = await resolveCategoryId(categoryName);
+      if (categoryId) {
+        categoryIds.add(categoryId);
+      } else {
+        missingCategories.push(categoryName);
+      }
+    }
+
+    if (missingCategories.length > 0) {
+      report.rows.push({
+        ...result,
+        status: "error",
+        errors: [
+          {
+            field: "categories",
+            message: `Categories not found: ${missingCategories.join(", ")}`,
+          },
+        ],
+      });
+      continue;
+    }
+
+    const sortedCategoryIds = [...categoryIds].sort((a, b) => a - b);
+
+    const [existingProduct] = await executor
+      .select({ id: products.id })
+      .from(products)
+      .where(and(eq(products.name, row.name), isNull(products.deletedAt)));
+
+    if (!existingProduct) {
+      const [insertedProduct] = await executor
+        .insert(products)
+        .values({
+          name: row.name,
+          slug: await generateUniqueSlug(executor, "product", row.name),
+          price: row.price,
+          currency: row.currency,
+        })
+        .returning({ id: products.id });
+
+      await executor.insert(productCategories).values(
+        sortedCategoryIds.map((categoryId) => ({
+          productId: insertedProduct.id,
+          categoryId,
+        }))
+      );
+
+      await recordAudit(executor, {
+        entityType: "product",
+        entityId: insertedProduct.id,
+        action: "create",
+        userId,
+        before: null,
+        after: await snapshotProduct(executor, insertedProduct.id),
+      });
+
+      report.rows.push({
+        ...result,
+        status: "created",
+        id: insertedProduct.id,
+      });
+      continue;
+    }
+
+    const before = await snapshotProduct(executor, existingProduct.id);
+
+    if (
+      before.price === row.price &&
+      (!row.currency || before.currency === row.currency) &&
+      before.categoryIds.join() === sortedCategoryIds.join()
+    ) {
+      report.rows.push({
+        ...result,
+        status: "skipped",
+        id: existingProduct.id,
+      });
+      continue;
+    }
+
+    await executor
+      .update(products)
+      .set({
+        price: row.price,
+        ...(row.currency && { currency: row.currency }),
+        updatedAt: nextUpdatedAt(),
+      })
+      .where(eq(products.id, existingProduct.id));
+
+    await executor
+      .delete(productCategories)
+      .where(eq(productCategories.productId, existingProduct.id));
+
+    await executor.insert(productCategories).values(
+      sortedCategoryIds.map((categoryId) => ({
+        productId: existingProduct.id,
+        categoryId,
+      }))
+    );
+
+    const after = await snapshotProduct(executor, existingProduct.id);
+
+    await recordAudit(executor, {
+      entityType: "product",
+      entityId: existingProduct.id,
+      action: "update",
+      userId,
+      before,
+      after,
+    });
+
+    report.rows.push({
+      ...result,
+      status: "updated",
+      id: existingProduct.id,
+      changes: diffSnapshots(before, after),
+    });
+  }
+
+  return report;
+};
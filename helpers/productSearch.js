@@ -0,0 +1,126 @@
+import { eq, inArray, or, sql } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { categories } from "../database/schema/category.js";
+import { productCategories } from "../database/schema/productCategory.js";
+import { products, productSearchVector } from "../database/schema/product.js";
+
+// ts_headline marks matches with these, they are turned into <mark> tags after HTML escaping
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_STOP = "\u0003";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * @function normalizeTags
+ * @description Trims and lowercases tags and drops empty and repeated ones, so they match as search lexemes
+ * @param {string[]} tags - Tags from the request
+ * @returns {string[]} Normalized tags
+ * @example
+ *  Returns ["summer", "running shoes"]
+ * normalizeTags([" Summer", "running  shoes", "SUMMER"])
+ */
+export const normalizeTags = (tags) => [
+  ...new Set(
+    tags
+      .map((tag) => tag.trim().replace(/\s+/g, " ").toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * @function toPrefixQuery
+ * @description Turns free text into a to_tsquery string where every word has to match, as a prefix.
+ * Operators and punctuation of the input are dropped, so any input gives a valid query
+ * @param {string} text - Search text from the query
+ * @returns {string|null} Query for to_tsquery, or null if the text has no words
+ * @example
+ *  Returns "red:* & boo:*"
+ * toPrefixQuery("red boo!")
+ */
+export const toPrefixQuery = (text) => {
+  const words = text.match(/[\p{L}\p{N}]+/gu);
+
+  if (!words) return null;
+
+  return words.map((word) => `${word}:*`).join(" & ");
+};
+
+/**
+ * Subquery selecting the categories of products joined to their names
+ * @param {Object} fields - Fields to select
+ */
+const selectFromProductCategories = (fields) =>
+  db
+    .select(fields)
+    .from(productCategories)
+    .innerJoin(categories, eq(categories.id, productCategories.categoryId));
+
+/**
+ * @function searchCondition
+ * @description Matches products whose name, tags or description, or the name of one of
+ * their categories, match a tsquery. Both sides can use their GIN index
+ * @param {SQL} query - tsquery expression
+ * @returns {SQL} Condition on the products table
+ */
+export const searchCondition = (query) =>
+  or(
+    sql`${productSearchVector(products)} @@ ${query}`,
+    inArray(
+      products.id,
+      selectFromProductCategories({
+        productId: productCategories.productId,
+      }).where(sql`to_tsvector('english', ${categories.name}) @@ ${query}`)
+    )
+  );
+
+/**
+ * @function searchRank
+ * @description Relevance of a product for a tsquery, category names weigh as much as tags
+ * @param {SQL} query - tsquery expression
+ * @returns {SQL} Rank, higher is more relevant
+ */
+export const searchRank = (query) => {
+  const categoryNames = selectFromProductCategories({
+    document: sql`to_tsvector('english', string_agg(${categories.name}, ' '))`,
+  }).where(eq(productCategories.productId, products.id));
+
+  const document = sql`${productSearchVector(
+    products
+  )} || setweight(coalesce((${categoryNames}), ''::tsvector), 'B')`;
+
+  return sql`ts_rank(${document}, ${query})`;
+};
+
+/**
+ * @function searchHeadline
+ * @description Text with the words matching a tsquery marked, see toHighlightHtml
+ * @param {SQL|Object} text - Text column or expression
+ * @param {SQL} query - tsquery expression
+ * @param {string} [options] - Extra ts_headline options, e.g. to show fragments of long texts
+ * @returns {SQL} Marked text, null if the text is null
+ */
+export const searchHeadline = (text, query, options = "HighlightAll=true") =>
+  sql`ts_headline('english', ${text}, ${query}, ${`StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, ${options}`})`;
+
+/**
+ * @function toHighlightHtml
+ * @description HTML-escapes a text marked by searchHeadline and wraps the matches in <mark> tags
+ * @param {string|null} text - Marked text
+ * @returns {string|null} Safe HTML snippet
+ * @example
+ *  Returns "<mark>Red</mark> &amp; blue boot"
+ * toHighlightHtml("\u0002Red\u0003 & blue boot")
+ */
+export const toHighlightHtml = (text) =>
+  text === null
+    ? null
+    : text
+        .replace(/[&<>"']/g, (character) => HTML_ESCAPES[character])
+        .replaceAll(HIGHLIGHT_START, "<mark>")
+        .replaceAll(HIGHLIGHT_STOP, "</mark>");
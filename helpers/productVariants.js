@@ -0,0 +1,185 @@
+import { and, asc, eq, inArray, ne, notInArray } from "drizzle-orm";
+import { productVariants } from "../database/schema/productVariant.js";
+import { AppError, validationError } from "./errors.js";
+import { assertNoOwnStock, setVariantStock } from "./inventory.js";
+
+/**
+ * @function toVariantResponse
+ * @description Picks the public fields of a variant
+ * @param {Object} variant - Row of product_variants
+ * @returns {{id: number, sku: string, options: Object, price: string|null, stock: number}} Variant for a response
+ */
+export const toVariantResponse = (variant) => ({
+  id: variant.id,
+  sku: variant.sku,
+  options: variant.options,
+  price: variant.price,
+  stock: variant.stock,
+});
+
+/**
+ * @function fetchVariantsByProduct
+ * @description Fetches the variants of the given products, ordered by SKU
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number[]} productIds - IDs of the products
+ * @returns {Promise<Map<number, Object[]>>} Variants by product ID, only for products that have any
+ */
+export const fetchVariantsByProduct = async (executor, productIds) => {
+  const variantsByProduct = new Map();
+
+  if (productIds.length === 0) return variantsByProduct;
+
+  const variantRows = await executor
+    .select()
+    .from(productVariants)
+    .where(inArray(productVariants.productId, productIds))
+    .orderBy(asc(productVariants.sku));
+
+  for (const variant of variantRows) {
+    if (!variantsByProduct.has(variant.productId)) {
+      variantsByProduct.set(variant.productId, []);
+    }
+    variantsByProduct.get(variant.productId).push(toVariantResponse(variant));
+  }
+
+  return variantsByProduct;
+};
+
+/**
+ * @function assertSkusAvailable
+ * @description Makes sure no other product uses one of the SKUs, SKUs are unique across the catalog
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product the SKUs are for
+ * @param {string[]} skus - SKUs to check
+ * @returns {Promise<void>}
+ * @throws {400} If a SKU belongs to a variant of another product
+ */
+const assertSkusAvailable = async (executor, productId, skus) => {
+  if (skus.length === 0) return;
+
+  const takenVariants = await executor
+    .select({ sku: productVariants.sku })
+    .from(productVariants)
+    .where(
+      and(
+        inArray(productVariants.sku, skus),
+        ne(productVariants.productId, productId)
+      )
+    );
+
+  if (takenVariants.length > 0) {
+    throw new AppError(
+      400,
+      "VARIANT_SKU_ALREADY_EXISTS",
+      `SKU already used by another product: ${takenVariants
+        .map((variant) => variant.sku)
+        .join(", ")}`
+    );
+  }
+};
+
+/**
+ * @function syncProductVariants
+ * @description Makes the variants of a product match the given list, matched by SKU.
+ * - Variants with a new SKU are created
+ * - Variants with a known SKU get the given options and price, stock is only changed when given
+ * - Variants missing from the list are deleted
+ * Stock changes, including the stock of deleted variants, are recorded as adjustments in the stock ledger.
+ * The caller has to hold the lock of the product row
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {number} productId - ID of the product
+ * @param {Object[]} variants - Complete list of variants, { sku, options, price, stock }
+ * @param {Object} [options]
+ * @param {number} [options.userId] - ID of the user changing the variants, for the stock ledger
+ * @returns {Promise<void>}
+ * @throws {422} If a SKU appears twice in the list
+ * @throws {400} If a SKU belongs to another product
+ * @throws {409} If the product gets its first variants while it has stock of its own
+ */
+export const syncProductVariants = async (
+  executor,
+  productId,
+  variants,
+  { userId } = {}
+) => {
+  const skus = variants.map((variant) => variant.sku);
+  const duplicateSku = skus.find((sku, index) => skus.indexOf(sku) !== index);
+
+  if (duplicateSku) {
+    throw validationError([
+      {
+        field: "variants",
+        message: `variants must not contain the SKU ${duplicateSku} twice`,
+      },
+    ]);
+  }
+
+  await assertSkusAvailable(executor, productId, skus);
+
+  const currentVariants = await executor
+    .select({
+      id: productVariants.id,
+      sku: productVariants.sku,
+      stock: productVariants.stock,
+    })
+    .from(productVariants)
+    .where(eq(productVariants.productId, productId));
+
+  if (currentVariants.length === 0 && variants.length > 0) {
+    await assertNoOwnStock(executor, productId);
+  }
+
+  // the stock of removed variants leaves the product with them
+  for (const variant of currentVariants) {
+    if (!skus.includes(variant.sku) && variant.stock > 0) {
+      await setVariantStock(executor, {
+        productId,
+        variantId: variant.id,
+        stock: 0,
+        note: `Variant ${variant.sku} deleted`,
+        userId,
+      });
+    }
+  }
+
+  // Deleted first, so a new variant can reuse the options of a removed one
+  await executor
+    .delete(productVariants)
+    .where(
+      skus.length > 0
+        ? and(
+            eq(productVariants.productId, productId),
+            notInArray(productVariants.sku, skus)
+          )
+        : eq(productVariants.productId, productId)
+    );
+
+  for (const variant of variants) {
+    const values = {
+      options: variant.options ?? {},
+      price: variant.price ?? null,
+    };
+
+    // new variants start without stock, the given stock is recorded below
+    const [savedVariant] = await executor
+      .insert(productVariants)
+      .values({ productId, sku: variant.sku, ...values })
+      .onConflictDoUpdate({
+        target: productVariants.sku,
+        set: { ...values, updatedAt: new Date() },
+        // never take over a variant another product created in the meantime
+        setWhere: eq(productVariants.productId, productId),
+      })
+      .returning({ id: productVariants.id });
+
+    if (savedVariant && variant.stock !== undefined) {
+      await setVariantStock(executor, {
+        productId,
+        variantId: savedVariant.id,
+        stock: variant.stock,
+        note: `Variant ${variant.sku} saved`,
+        userId,
+      });
+    }
+  }
+};
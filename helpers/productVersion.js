@@ -0,0 +1,96 @@
+import { sql } from "drizzle-orm";
+import { products } from "../database/schema/product.js";
+import { validationError } from "./errors.js";
+
+/*
+
+Product versions
+
+The version of a product is its updatedAt in milliseconds. Every change of a product,
+its categories, variants, images or stock sets updatedAt to nextUpdatedAt(), so the version
+changes with it.
+
+Stock changes count as edits. The version is also the ETag of the product response, which
+shows the stock, so a sale or restock has to change it or revalidated copies keep an outdated
+stock. An edit based on a version read before a stock movement gets the 409 with the current
+state and is retried on it, editors never change the stock itself, see helpers/inventory.js.
+
+Reads return the version as a version field and, for a single product, as the ETag header.
+editProduct takes it back in the If-Match header or the version field and refuses the
+edit with a 409 when the product changed since it was read.
+
+*/
+
+// a strong ETag like "1718000000000". If-Match compares strongly, a weak W/"…" tag never matches
+const VERSION_ETAG_PATTERN = /^"(\d+)"$/;
+
+/**
+ * @function productVersion
+ * @description Version of a product
+ * @param {Date} updatedAt - updatedAt of the product
+ * @returns {number} Version
+ */
+export const productVersion = (updatedAt) => updatedAt.getTime();
+
+/**
+ * @function versionETag
+ * @description ETag header value of a product version
+ * @param {number} version - Version of the product
+ * @returns {string} Quoted version
+ * @example
+ *  Returns "\"1718000000000\""
+ * versionETag(1718000000000)
+ */
+export const versionETag = (version) => `"${version}"`;
+
+/**
+ * @function nextUpdatedAt
+ * @description updatedAt for a change of a product, always later than the current one,
+ * so two changes within the same millisecond still get different versions.
+ * Computed by the update from the row it changes, which the update locks until the transaction ends
+ * @returns {SQL} Value of products.updatedAt in an update of products
+ * @example
+ * await tx.update(products).set({ price, updatedAt: nextUpdatedAt() }).where(eq(products.id, id));
+ */
+export const nextUpdatedAt = () =>
+  // the timestamp column has no time zone, like the ISO strings drizzle writes to it
+  sql`greatest(${new Date().toISOString()}::timestamp, ${
+    products.updatedAt
+  } + interval '1 millisecond')`;
+
+/**
+ * @function readExpectedVersions
+ * @description Reads the versions an edit is based on, from the If-Match header or the version field of the body.
+ * If-Match wins when both are sent, "If-Match: *" accepts any version
+ * @param {Object} req - Express request object
+ * @returns {number[]|null} Versions the product may be at, null when the edit is unconditional
+ * @throws {422} If If-Match is not a list of strong version ETags
+ * @example
+ *  Returns [1718000000000, 1718000000500] for If-Match: "1718000000000", "1718000000500"
+ * readExpectedVersions(req)
+ */
+export const readExpectedVersions = (req) => {
+  const ifMatch = req.get("If-Match");
+
+  if (ifMatch === undefined) {
+    return req.body.version === undefined ? null : [req.body.version];
+  }
+
+  if (ifMatch.trim() === "*") return null;
+
+  const versions = ifMatch
+    .split(",")
+    .map((tag) => VERSION_ETAG_PATTERN.exec(tag.trim())?.[1]);
+
+  if (versions.some((version) => version === undefined)) {
+    throw validationError([
+      {
+        field: "If-Match",
+        message:
+          'If-Match must list strong ETags of product responses, e.g. "1718000000000", weak W/ tags never match',
+      },
+    ]);
+  }
+
+  return versions.map(Number);
+};
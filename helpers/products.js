@@ -0,0 +1,46 @@
+import { and, eq, isNull } from "drizzle-orm";
+import { products } from "../database/schema/product.js";
+import { AppError } from "./errors.js";
+import { nextUpdatedAt } from "./productVersion.js";
+
+/**
+ * @function assertActiveProduct
+ * @description Makes sure a product exists and is not in the trash
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - true to lock the product row until the transaction ends,
+ * so concurrent changes of its variants, images or stock run one after another
+ * @returns {Promise<void>}
+ * @throws {404} If the product does not exist or is trashed
+ */
+export const assertActiveProduct = async (
+  executor,
+  productId,
+  { lock = false } = {}
+) => {
+  const query = executor
+    .select({ id: products.id })
+    .from(products)
+    .where(and(eq(products.id, productId), isNull(products.deletedAt)));
+
+  const [product] = await (lock ? query.for("update") : query);
+
+  if (!product) {
+    throw new AppError(404, "PRODUCT_NOT_FOUND", "Product not found");
+  }
+};
+
+/**
+ * @function touchProduct
+ * @description Gives a product a new version, for changes stored outside the products table
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {number} productId - ID of the product
+ * @returns {Promise<void>}
+ */
+export const touchProduct = async (executor, productId) => {
+  await executor
+    .update(products)
+    .set({ updatedAt: nextUpdatedAt() })
+    .where(eq(products.id, productId));
+};
@@ -0,0 +1,218 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+/*
+
+Query cache
+
+Read paths cache their results under a key together with the entities they read,
+"products" and/or "categories". Every entity has a generation number that is part of the
+cache key, invalidating an entity bumps its generation: all results read from it become
+unreachable and age out of the store. A read that raced with a write stores its result
+under the old generation, so it is never served.
+
+A store is an object with
+- get(key): the cached string, or null
+- set(key, value, ttlSeconds): caches a string
+- generations(entities): the current generation of every entity
+- bump(entity): starts a new generation of an entity
+
+CACHE_STORE selects the store:
+- "memory" (default): LRU of CACHE_MAX_ENTRIES results in this process. Invalidation only
+  reaches this process, other instances serve their results until CACHE_TTL_SECONDS is over
+- "redis": a Redis-compatible server at REDIS_URL shared by all instances, needs the optional redis package.
+  Startup does not wait for the server, while it is unreachable every read goes to the database
+
+*/
+
+/**
+ * @function createMemoryStore
+ * @description Least recently used cache in the memory of this process
+ * @param {Object} options
+ * @param {number} options.maxEntries - Number of results kept, the least recently used one is dropped first
+ * @returns {Object} Cache store
+ */
+export const createMemoryStore = ({ maxEntries }) => {
+  // Map keeps insertion order, the least recently used entry comes first
+  const entries = new Map();
+  const generations = new Map();
+
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = entries.get(key);
+
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttlSeconds) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    generations: async (entities) =>
+      entities.map((entity) => generations.get(entity) ?? 0),
+    bump: async (entity) => {
+      generations.set(entity, (generations.get(entity) ?? 0) + 1);
+    },
+    size: () => entries.size,
+  };
+};
+
+/**
+ * @function createRedisStore
+ * @description Cache on a Redis-compatible server, shared by every instance of the backend
+ * @param {Object} options
+ * @param {Object} options.client - Client of the redis package (node-redis 5), connected or connecting
+ * @param {string} [options.prefix] - Prefix of every key, to share the server with other data
+ * @returns {Object} Cache store
+ */
+export const createRedisStore = ({ client, prefix = "catalog:" }) => {
+  const generationKey = (entity) => `${prefix}generation:${entity}`;
+
+  return {
+    name: "redis",
+    get: (key) => client.get(prefix + key),
+    set: async (key, value, ttlSeconds) => {
+      await client.set(prefix + key, value, {
+        expiration: { type: "EX", value: ttlSeconds },
+      });
+    },
+    // a missing generation key is generation 0
+    generations: async (entities) =>
+      (await client.mGet(entities.map(generationKey))).map(Number),
+    bump: async (entity) => {
+      await client.incr(generationKey(entity));
+    },
+  };
+};
+
+const CACHE_STORES = {
+  memory: async () =>
+    createMemoryStore({
+      maxEntries: config.cache.maxEntries,
+    }),
+  redis: async () => {
+    const { createClient } = await import("redis").catch(() => {
+      throw new Error(
+        "CACHE_STORE=redis needs the redis package, install it with npm install redis"
+      );
+    });
+
+    // commands fail right away while the server is unreachable instead of waiting for it
+    const client = createClient({
+      url: config.cache.redisUrl,
+      disableOfflineQueue: true,
+    });
+    // without a listener a lost connection would crash the process, reads fall back to the database
+    client.on("error", (error) => logger.error("Redis cache error", { error }));
+    // not awaited, the backend starts without the cache and the client keeps retrying in the background
+    client
+      .connect()
+      .catch((error) =>
+        logger.error("Redis cache connection failed", { error })
+      );
+
+    return createRedisStore({ client });
+  },
+};
+
+// CACHE_STORE is checked against the stores in helpers/config.js
+const cacheStore = await CACHE_STORES[config.cache.store]();
+
+// counted per process since it started
+const stats = { hits: 0, misses: 0, errors: 0 };
+
+/**
+ * @function cachedQuery
+ * @description Returns the cached result of a read, or runs it and caches its result.
+ * Results are cached as JSON, so dates come back as ISO strings, like in a response.
+ * When the store fails, the read runs against the database
+ * @param {("products"|"categories")[]} entities - Entities the read depends on
+ * @param {string} key - Key of the read, including everything its result depends on
+ * @param {Function} load - Runs the read, its result has to be serializable to JSON
+ * @returns {Promise<*>} Result of the read
+ * @example
+ * const page = await cachedQuery(["products", "categories"], `products:page:${JSON.stringify(query)}`, () =>
+ *   fetchProductPage(query, { trashed: false })
+ * );
+ */
+export const cachedQuery = async (entities, key, load) => {
+  let versionedKey = null;
+
+  try {
+    const generations = await cacheStore.generations(entities);
+    versionedKey = `${key}@${entities
+      .map((entity, index) => `${entity}.${generations[index]}`)
+      .join(",")}`;
+
+    const cached = await cacheStore.get(versionedKey);
+
+    if (cached !== null) {
+      stats.hits += 1;
+      return JSON.parse(cached);
+    }
+  } catch (error) {
+    stats.errors += 1;
+    logger.error("Query cache read failed", { key, error });
+  }
+
+  stats.misses += 1;
+
+  // serialized either way, so a miss returns the same shape as a hit
+  const serialized = JSON.stringify(await load());
+
+  if (versionedKey) {
+    try {
+      await cacheStore.set(versionedKey, serialized, config.cache.ttlSeconds);
+    } catch (error) {
+      stats.errors += 1;
+      logger.error("Query cache write failed", { key, error });
+    }
+  }
+
+  return JSON.parse(serialized);
+};
+
+/**
+ * @function invalidateEntities
+ * @description Invalidates every cached read depending on one of the entities
+ * @param {("products"|"categories")[]} entities - Entities that changed
+ * @returns {Promise<void>}
+ */
+export const invalidateEntities = async (entities) => {
+  for (const entity of entities) {
+    try {
+      await cacheStore.bump(entity);
+    } catch (error) {
+      stats.errors += 1;
+      logger.error("Query cache invalidation failed", { entity, error });
+    }
+  }
+};
+
+/**
+ * @function getCacheStats
+ * @description Hit and miss counts of this process
+ * @returns {Object} Store name, hits, misses, hit rate, store errors and, for the memory store, the number of cached results
+ */
+export const getCacheStats = () => {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    store: cacheStore.name,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : null,
+    errors: stats.errors,
+    ...(cacheStore.size && { entries: cacheStore.size() }),
+  };
+};
@@ -0,0 +1,249 @@
+import { and, eq, like, or } from "drizzle-orm";
+import { categories } from "../database/schema/category.js";
+import { products } from "../database/schema/product.js";
+import { slugRedirects } from "../database/schema/slugRedirect.js";
+import { AppError } from "./errors.js";
+
+export const SLUG_MAX_LENGTH = 80;
+
+// lowercase words of letters and digits joined by dashes, e.g. "red-boots-2", never digits only
+export const SLUG_PATTERN = /^(?!\d+$)[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// a numeric ID or a slug, for URL parameters taking either
+export const ID_OR_SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const SLUG_TABLES = {
+  product: products,
+  category: categories,
+};
+
+/*
+
+Slugs
+
+Products and categories get a slug from their name when they are created. Renaming
+keeps the slug, so links stay valid. A slug only changes when it is set explicitly,
+the former slug is then kept in slug_redirects and lookups by it answer with a redirect.
+
+Slugs never consist of digits only, so an ID and a slug can share one URL parameter.
+Category URLs use slugs instead of the underscore-formatted names of reformatCategoryName.
+
+*/
+
+/**
+ * @function slugify
+ * @description Turns a name into a slug: accents are dropped, everything but letters and digits becomes a dash
+ * @param {string} text - Name to turn into a slug
+ * @param {"product"|"category"} entityType - Used as the slug, or its prefix, when the name has no letters
+ * @returns {string} Slug of at most SLUG_MAX_LENGTH characters
+ * @example
+ *  Returns "creme-brulee-set"
+ * slugify("Crème Brûlée Set!", "product")
+ *
+ *  Returns "product-4"
+ * slugify("4", "product")
+ */
+export const slugify = (text, entityType) => {
+  const slug = text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, "");
+
+  if (slug === "") return entityType;
+  if (/^\d+$/.test(slug)) return `${entityType}-${slug}`;
+
+  return slug;
+};
+
+/**
+ * @function generateUniqueSlug
+ * @description Finds a free slug for a name, appending -2, -3, ... when the slug is taken.
+ * Former slugs count as taken, so an old link never starts pointing to another product or category
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {"product"|"category"} entityType - Type of the entity the slug is for
+ * @param {string} name - Name of the entity
+ * @returns {Promise<string>} Unused slug
+ * @example
+ *  Returns "red-boots-2" when "red-boots" is taken
+ * await generateUniqueSlug(tx, "product", "Red Boots")
+ */
+export const generateUniqueSlug = async (executor, entityType, name) => {
+  const table = SLUG_TABLES[entityType];
+  const base = slugify(name, entityType);
+
+  const currentSlugs = await executor
+    .select({ slug: table.slug })
+    .from(table)
+    .where(or(eq(table.slug, base), like(table.slug, `${base}-%`)));
+
+  const formerSlugs = await executor
+    .select({ slug: slugRedirects.slug })
+    .from(slugRedirects)
+    .where(
+      and(
+        eq(slugRedirects.entityType, entityType),
+        or(eq(slugRedirects.slug, base), like(slugRedirects.slug, `${base}-%`))
+      )
+    );
+
+  const takenSlugs = new Set(
+    [...currentSlugs, ...formerSlugs].map((row) => row.slug)
+  );
+
+  if (!takenSlugs.has(base)) return base;
+
+  let suffix = 2;
+  while (takenSlugs.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+
+  return `${base}-${suffix}`;
+};
+
+/**
+ * @function changeSlug
+ * @description Sets a new slug and keeps the current one as a redirect.
+ * The entity can take back one of its own former slugs, its redirect is dropped.
+ * Former slugs of other entities stay theirs, so old links never switch to another entity
+ * @param {Object} executor - Transaction to run the queries on
+ * @param {"product"|"category"} entityType - Type of the entity
+ * @param {number} entityId - ID of the entity
+ * @param {string} slug - New slug, matching SLUG_PATTERN
+ * @returns {Promise<void>}
+ * @throws {400} If another entity of the type uses the slug, now or formerly
+ */
+export const changeSlug = async (executor, entityType, entityId, slug) => {
+  const table = SLUG_TABLES[entityType];
+
+  const [owner] = await executor
+    .select({ id: table.id })
+    .from(table)
+    .where(eq(table.slug, slug));
+
+  if (owner?.id === entityId) return;
+
+  if (owner) {
+    throw new AppError(
+      400,
+      "SLUG_ALREADY_EXISTS",
+      `The slug ${slug} is already used`
+    );
+  }
+
+  const [redirect] = await executor
+    .select({ entityId: slugRedirects.entityId })
+    .from(slugRedirects)
+    .where(
+      and(
+        eq(slugRedirects.entityType, entityType),
+        eq(slugRedirects.slug, slug)
+      )
+    );
+
+  if (redirect && redirect.entityId !== entityId) {
+    throw new AppError(
+      400,
+      "SLUG_ALREADY_EXISTS",
+      `The slug ${slug} was used before and still redirects to another ${entityType}`
+    );
+  }
+
+  const [entity] = await executor
+    .select({ slug: table.slug })
+    .from(table)
+    .where(eq(table.id, entityId));
+
+  if (redirect) {
+    await executor
+      .delete(slugRedirects)
+      .where(
+        and(
+          eq(slugRedirects.entityType, entityType),
+          eq(slugRedirects.slug, slug)
+        )
+      );
+  }
+
+  await executor
+    .insert(slugRedirects)
+    .values({ entityType, slug: entity.slug, entityId });
+
+  await executor.update(table).set({ slug }).where(eq(table.id, entityId));
+};
+
+/**
+ * @function resolveSlug
+ * @description Finds the entity an ID or slug URL parameter points to
+ * @param {Object} executor - Database or transaction to run the query on
+ * @param {"product"|"category"} entityType - Type of the entity
+ * @param {string} idOrSlug - Numeric ID, current slug or former slug
+ * @returns {Promise<{id: number, redirectTo: string|null}|null>} ID of the entity, with its current slug when a former slug was given, or null if nothing matches
+ * @example
+ *  Returns { id: 12, redirectTo: "red-boots" } if "red-shoes" was a former slug of product 12
+ * await resolveSlug(db, "product", "red-shoes")
+ */
+export const resolveSlug = async (executor, entityType, idOrSlug) => {
+  const table = SLUG_TABLES[entityType];
+
+  if (/^\d+$/.test(idOrSlug)) {
+    return { id: Number(idOrSlug), redirectTo: null };
+  }
+
+  const [current] = await executor
+    .select({ id: table.id })
+    .from(table)
+    .where(eq(table.slug, idOrSlug));
+
+  if (current) return { id: current.id, redirectTo: null };
+
+  const [former] = await executor
+    .select({ id: table.id, slug: table.slug })
+    .from(slugRedirects)
+    .innerJoin(table, eq(table.id, slugRedirects.entityId))
+    .where(
+      and(
+        eq(slugRedirects.entityType, entityType),
+        eq(slugRedirects.slug, idOrSlug)
+      )
+    );
+
+  return former ? { id: former.id, redirectTo: former.slug } : null;
+};
+
+/**
+ * @function deleteSlugRedirects
+ * @description Drops the former slugs of a deleted entity, so they can be used again
+ * @param {Object} executor - Transaction of the delete
+ * @param {"product"|"category"} entityType - Type of the entity
+ * @param {number} entityId - ID of the entity
+ * @returns {Promise<void>}
+ */
+export const deleteSlugRedirects = async (executor, entityType, entityId) => {
+  await executor
+    .delete(slugRedirects)
+    .where(
+      and(
+        eq(slugRedirects.entityType, entityType),
+        eq(slugRedirects.entityId, entityId)
+      )
+    );
+};
+
+/**
+ * @function redirectPath
+ * @description Keeps the query string of a request on the path it is redirected to
+ * @param {Object} req - Express request object
+ * @param {string} path - Path to redirect to
+ * @returns {string} Path with the query string of the request
+ * @example
+ *  Returns "/api/category/shoes/products?page=2" for a request to /api/category/old-shoes/products?page=2
+ * redirectPath(req, "/api/category/shoes/products")
+ */
+export const redirectPath = (req, path) => {
+  const queryStart = req.originalUrl.indexOf("?");
+
+  return queryStart === -1 ? path : path + req.originalUrl.slice(queryStart);
+};
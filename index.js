@@ -2,93 +2,517 @@ import cors from "cors";
 import express from "express";
 import {
   addCategory,
+  deleteCategory,
+  editCategory,
   getCategories,
+  getCategory,
+  getCategoryTree,
 } from "./controllers/categoryController.js";
 import {
   addProduct,
+  bulkUpdateProducts,
   deleteProduct,
   editProduct,
+  exportProducts,
+  getCategoryProducts,
+  getProduct,
+  getProductFacets,
+  getProductHistory,
   getProducts,
+  getTrashedProducts,
+  importProducts,
+  purgeProduct,
+  restoreProduct,
+  searchProducts,
 } from "./controllers/productController.js";
+import {
+  getCurrentUser,
+  login,
+  logout,
+  refresh,
+  register,
+} from "./controllers/authController.js";
+import { assignUserRole } from "./controllers/userController.js";
+import { getQueryCacheStats } from "./controllers/cacheController.js";
+import {
+  addProductImages,
+  arrangeProductImages,
+  deleteProductImage,
+  getProductImages,
+} from "./controllers/imageController.js";
+import {
+  addStockMovement,
+  getLowStockProducts,
+  getStockMovements,
+} from "./controllers/inventoryController.js";
+import {
+  addVariant,
+  deleteVariant,
+  editVariant,
+  getVariants,
+} from "./controllers/variantController.js";
 import { authenticateAccessToken } from "./middlewares/authentication.js";
+import { authorizeRoles } from "./middlewares/authorization.js";
+import {
+  cacheControl,
+  IMMUTABLE,
+  noStore,
+  REVALIDATE,
+} from "./middlewares/cacheControl.js";
+import { invalidateOnWrite } from "./middlewares/invalidateCache.js";
+import { requestLogger } from "./middlewares/requestLogger.js";
+import { uploadImages } from "./middlewares/upload.js";
+import { validate } from "./middlewares/validate.js";
+import {
+  addProductSchema,
+  bulkProductsSchema,
+  deleteProductSchema,
+  editProductSchema,
+  exportProductsSchema,
+  getProductSchema,
+  importProductsSchema,
+  productHistorySchema,
+  searchProductsSchema,
+  trashedProductSchema,
+} from "./validators/productValidator.js";
+import {
+  addCategorySchema,
+  deleteCategorySchema,
+  editCategorySchema,
+  getCategoriesSchema,
+  getCategoryProductsSchema,
+  getCategorySchema,
+} from "./validators/categoryValidator.js";
+import {
+  addVariantSchema,
+  deleteVariantSchema,
+  editVariantSchema,
+  getVariantsSchema,
+} from "./validators/variantValidator.js";
+import {
+  addProductImagesSchema,
+  arrangeProductImagesSchema,
+  deleteProductImageSchema,
+  getProductImagesSchema,
+} from "./validators/imageValidator.js";
+import {
+  addStockMovementSchema,
+  getStockMovementsSchema,
+  lowStockSchema,
+} from "./validators/inventoryValidator.js";
+import {
+  assignUserRoleSchema,
+  loginSchema,
+  registerSchema,
+} from "./validators/authValidator.js";
+import { errorHandler, notFoundHandler } from "./middlewares/errorHandler.js";
+import { AppError } from "./helpers/errors.js";
+import { imageStorage } from "./helpers/imageStorage.js";
+import { IMPORT_MAX_BODY_BYTES } from "./helpers/productImport.js";
+import { config } from "./helpers/config.js";
 import cookieParser from "cookie-parser";
 
 const app = express();
 // const port = 5001;
 
-const allowedOrigins = [
-  "http://localhost:5173",
-  "https://product-catalog-web-app-frontend.vercel.app",
-];
+// Every request gets an ID and is logged as JSON, see helpers/logger.js
+app.use(requestLogger);
 
+// Origins come from CORS_ORIGINS, see helpers/config.js
 app.use(
   cors({
     origin: (origin, callback) => {
-      console.log("=== CORS Check ===");
-      console.log("Origin:", origin);
-      // console.log("Request method:", req?.method);
-      // console.log("Request headers:", req?.headers);
-      console.log("==================");
-      if (!origin || allowedOrigins.includes(origin)) {
+      if (
+        !origin ||
+        config.allowedOrigins.some((pattern) => pattern.test(origin))
+      ) {
         callback(null, true);
       } else {
-        callback(new Error("Blocked by CORS: Origin not allowed"));
+        callback(
+          new AppError(
+            403,
+            "CORS_ORIGIN_NOT_ALLOWED",
+            "Blocked by CORS: Origin not allowed"
+          )
+        );
       }
     },
     credentials: true,
+    // product versions for If-Match on PUT /api/product, request IDs for bug reports
+    exposedHeaders: ["ETag", "X-Request-Id"],
   })
 );
 
-// 🔽 Disable caching for all responses
+// Nothing is cached unless the route opts in, see middlewares/cacheControl.js
+app.use(noStore);
 
-app.use((req, res, next) => {
-  res.set(
-    "Cache-Control",
-    "no-store, no-cache, must-revalidate, proxy-revalidate"
-  );
-  res.set("Pragma", "no-cache");
-  res.set("Expires", "0");
-  next();
-});
-
-app.use(express.json());
+// Imports parse their body on their route, after the role check and with a limit sized for IMPORT_MAX_ROWS
+const parseJson = express.json();
+app.use((req, res, next) =>
+  req.path === "/api/products/import" ? next() : parseJson(req, res, next)
+);
 
 app.use(cookieParser()); // 👈 adds req.cookies
 
+// Catalog writes need an editor or admin, reads stay public
+const requireEditor = [
+  authenticateAccessToken,
+  authorizeRoles("editor", "admin"),
+];
+const requireAdmin = [authenticateAccessToken, authorizeRoles("admin")];
+
+// Public reads may be cached, clients revalidate them with a conditional GET
+const publicRead = cacheControl(REVALIDATE);
+
+// Catalog reads are served from the query cache, writes invalidate it, see helpers/queryCache.js.
+// Imports can create categories, category deletes and renames change the products they list
+app.use("/api/product", invalidateOnWrite("products"));
+app.use("/api/products", invalidateOnWrite("products", "categories"));
+app.use("/api/category", invalidateOnWrite("categories"));
+
 app.get("/api", (req, res) => {
   res.json({ message: "Hello from backend!" });
 });
 
 /*
 
+Request bodies, route params and query strings are validated by the validate middleware,
+invalid requests get a 422 with the errors per field
+
+*/
+
+/*
+
+Auth Routes
+
+- POST /api/auth/register: Create a user account and log in
+
+- POST /api/auth/login: Log in with email and password
+
+- POST /api/auth/refresh: Exchange the refresh token cookie for new tokens
+
+- POST /api/auth/logout: Revoke the refresh token and clear the auth cookies
+
+- GET /api/auth/me: Fetch the logged in user
+
+*/
+
+app.post("/api/auth/register", validate(registerSchema), register);
+app.post("/api/auth/login", validate(loginSchema), login);
+app.post("/api/auth/refresh", refresh);
+app.post("/api/auth/logout", logout);
+app.get("/api/auth/me", authenticateAccessToken, getCurrentUser);
+
+/*
+
+Admin Routes (admin only)
+
+- PUT /api/admin/users/:id/role: Assign a role (admin, editor, viewer) to a user
+
+- GET /api/admin/cache: Fetch the hit and miss counts of the query cache
+
+*/
+
+app.put(
+  "/api/admin/users/:id/role",
+  requireAdmin,
+  validate(assignUserRoleSchema),
+  assignUserRole
+);
+app.get("/api/admin/cache", requireAdmin, getQueryCacheStats);
+
+/*
+
 Product Routes
-- GET /api/products: Fetch all products, optionally filtered by category IDs
+- GET /api/products: Fetch a page of products, optionally filtered by categories, price range, stock, dates and name, sorted by price, name, createdAt or updatedAt, conditional requests get a 304 while nothing changed
+
+- GET /api/products/facets: Count the products matching the GET /api/products filters per category and price bucket, each facet ignoring its own filter
+
+- GET /api/search: Full-text search of products by name, tags, description and category names, ranked by relevance with highlighted matches
+
+- GET /api/product/:idOrSlug: Fetch an active product by ID or slug, a former slug redirects to the current one
+
+Write routes require the editor or admin role
 
 - POST /api/product/add: Create a new product with name, price, and category associations
 
-- PUT /api/product: Update an existing product's details and category associations
+- PUT /api/product: Update an existing product's details and category associations, If-Match or version refuses the edit with a 409 when the product changed since it was read
+
+- DELETE /api/product: Move a product to the trash by ID
+
+- GET /api/products/trash: Fetch a page of trashed products, same query parameters as GET /api/products
+
+- POST /api/product/:id/restore: Restore a trashed product with its categories
+
+- DELETE /api/product/:id/purge: Permanently delete a trashed product (admin only)
+
+- POST /api/products/import: Create or update products by name from CSV or JSON, dryRun=true only reports what would change
+
+- POST /api/products/bulk: Apply price, category and delete operations to many products at once, all or nothing
 
-- DELETE /api/product: Delete a product by ID
+- GET /api/products/export: Download the products matching the GET /api/products filters as csv, json or ndjson
+
+- GET /api/product/:id/history: Fetch the change history of a product, who changed what with before and after values
 
 */
 
-app.get("/api/products", getProducts);
-app.post("/api/product/add", addProduct);
-app.put("/api/product", editProduct);
-app.delete("/api/product", deleteProduct);
+app.get("/api/products", publicRead, getProducts);
+app.get("/api/products/facets", publicRead, getProductFacets);
+app.get(
+  "/api/search",
+  publicRead,
+  validate(searchProductsSchema),
+  searchProducts
+);
+app.get(
+  "/api/product/:idOrSlug",
+  publicRead,
+  validate(getProductSchema),
+  getProduct
+);
+app.post(
+  "/api/product/add",
+  requireEditor,
+  validate(addProductSchema),
+  addProduct
+);
+app.put(
+  "/api/product",
+  requireEditor,
+  validate(editProductSchema),
+  editProduct
+);
+app.delete(
+  "/api/product",
+  requireEditor,
+  validate(deleteProductSchema),
+  deleteProduct
+);
+app.get("/api/products/trash", requireEditor, getTrashedProducts);
+app.post(
+  "/api/product/:id/restore",
+  requireEditor,
+  validate(trashedProductSchema),
+  restoreProduct
+);
+app.delete(
+  "/api/product/:id/purge",
+  requireAdmin,
+  validate(trashedProductSchema),
+  purgeProduct
+);
+app.post(
+  "/api/products/import",
+  requireEditor,
+  express.json({ limit: IMPORT_MAX_BODY_BYTES }),
+  express.text({ type: "text/csv", limit: IMPORT_MAX_BODY_BYTES }),
+  validate(importProductsSchema),
+  importProducts
+);
+app.post(
+  "/api/products/bulk",
+  requireEditor,
+  validate(bulkProductsSchema),
+  bulkUpdateProducts
+);
+app.get(
+  "/api/products/export",
+  publicRead,
+  validate(exportProductsSchema),
+  exportProducts
+);
+app.get(
+  "/api/product/:id/history",
+  requireEditor,
+  validate(productHistorySchema),
+  getProductHistory
+);
+
+/*
+
+Variant Routes
+- GET /api/product/:id/variants: Fetch the variants (SKU, options, price override, stock) of a product
+
+Write routes require the editor or admin role
+
+- POST /api/product/:id/variants: Add a variant to a product
+
+- PUT /api/product/:id/variants/:variantId: Update a variant
+
+- DELETE /api/product/:id/variants/:variantId: Delete a variant
+
+*/
+
+app.get(
+  "/api/product/:id/variants",
+  publicRead,
+  validate(getVariantsSchema),
+  getVariants
+);
+app.post(
+  "/api/product/:id/variants",
+  requireEditor,
+  validate(addVariantSchema),
+  addVariant
+);
+app.put(
+  "/api/product/:id/variants/:variantId",
+  requireEditor,
+  validate(editVariantSchema),
+  editVariant
+);
+app.delete(
+  "/api/product/:id/variants/:variantId",
+  requireEditor,
+  validate(deleteVariantSchema),
+  deleteVariant
+);
+
+/*
+
+Image Routes
+- GET /api/product/:id/images: Fetch the images of a product in display order
+
+Write routes require the editor or admin role
+
+- POST /api/product/:id/images: Upload images (jpeg, png, gif, webp, max 5 MB each) as multipart/form-data in the images field
+
+- PUT /api/product/:id/images: Reorder the images of a product and optionally set its primary image
+
+- DELETE /api/product/:id/images/:imageId: Delete an image and its file
+
+The local storage backend serves the files under /uploads, every file gets a new key so they are cached for good
+
+*/
+
+if (imageStorage.handler) {
+  app.use(
+    imageStorage.publicPath,
+    cacheControl(IMMUTABLE),
+    imageStorage.handler
+  );
+}
+
+app.get(
+  "/api/product/:id/images",
+  publicRead,
+  validate(getProductImagesSchema),
+  getProductImages
+);
+app.post(
+  "/api/product/:id/images",
+  requireEditor,
+  validate(addProductImagesSchema),
+  uploadImages,
+  addProductImages
+);
+app.put(
+  "/api/product/:id/images",
+  requireEditor,
+  validate(arrangeProductImagesSchema),
+  arrangeProductImages
+);
+app.delete(
+  "/api/product/:id/images/:imageId",
+  requireEditor,
+  validate(deleteProductImageSchema),
+  deleteProductImage
+);
+
+/*
+
+Inventory Routes (editor or admin)
+
+- POST /api/product/:id/stock: Record a stock movement (receive, sell, adjust, return) of a product, or of one of its variants (variantId) for a product with variants
+
+- GET /api/product/:id/stock: Fetch the stock of a product and its movements, newest first
+
+- GET /api/inventory/low-stock: Fetch active products with less stock than ?threshold= (default 5)
+
+*/
+
+app.post(
+  "/api/product/:id/stock",
+  requireEditor,
+  validate(addStockMovementSchema),
+  addStockMovement
+);
+app.get(
+  "/api/product/:id/stock",
+  requireEditor,
+  validate(getStockMovementsSchema),
+  getStockMovements
+);
+app.get(
+  "/api/inventory/low-stock",
+  requireEditor,
+  validate(lowStockSchema),
+  getLowStockProducts
+);
 
 /*
 
 Category Routes
 
-- POST /api/category/add: Create a new category with a name
+Write routes require the editor or admin role
+
+- POST /api/category/add: Create a new category with a name and an optional parent category
+
+- GET /api/categories: Fetch all categories, optionally with their product counts, conditional requests get a 304 while nothing changed
+
+- GET /api/categories/tree: Fetch all categories nested under their parent categories
+
+- GET /api/category/:idOrSlug: Fetch a single category by ID or slug with its product count, a former slug redirects to the current one
+
+- GET /api/category/:idOrSlug/products: Fetch a page of the products of a category, same query parameters as GET /api/products
+
+- PUT /api/category/:id: Rename a category, change its slug or move it under another parent category
 
-- GET /api/categories: Fetch all categories
+- DELETE /api/category/:id: Delete a category, refused while products use it unless cascade=true
 
 */
 
-app.post("/api/category/add", addCategory);
-app.get("/api/categories", getCategories);
+app.post(
+  "/api/category/add",
+  requireEditor,
+  validate(addCategorySchema),
+  addCategory
+);
+app.get(
+  "/api/categories",
+  publicRead,
+  validate(getCategoriesSchema),
+  getCategories
+);
+app.get("/api/categories/tree", publicRead, getCategoryTree);
+app.get(
+  "/api/category/:idOrSlug",
+  publicRead,
+  validate(getCategorySchema),
+  getCategory
+);
+app.get(
+  "/api/category/:idOrSlug/products",
+  publicRead,
+  validate(getCategoryProductsSchema),
+  getCategoryProducts
+);
+app.put(
+  "/api/category/:id",
+  requireEditor,
+  validate(editCategorySchema),
+  editCategory
+);
+app.delete(
+  "/api/category/:id",
+  requireEditor,
+  validate(deleteCategorySchema),
+  deleteCategory
+);
+
+// Unknown routes and every error thrown above end up here, as { message, status, code }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // app.listen(port, () => {
 //   console.log(`Backend running on http://localhost:${port}`);
@@ -1,28 +1,20 @@
-import jwt from "jsonwebtoken";
+import { verifyToken } from "../helpers/authTokens.js";
+import { AppError } from "../helpers/errors.js";
 
 export const authenticateAccessToken = (req, res, next) => {
-  //   const accessToken = req?.cookies?.access_token;
-
   const accessToken = req?.cookies?.access_token;
 
   if (!accessToken) {
-    return res.status(401).json({ error: "Access token missing" });
+    throw new AppError(401, "AUTH_TOKEN_MISSING", "Access token missing");
   }
 
-  // manually parsing the cookies
-  //   const cookies =
-  //     token?.split(";").reduce((acc, cookie) => {
-  //       const [key, value] = cookie.trim().split("=");
-  //       acc[key] = value;
-  //       return acc;
-  //     }, {}) || {};
-
-  try {
-    const decoded = jwt.verify(accessToken, "mySecret");
-    req.user = decoded; // you can access this in route
+  const decoded = verifyToken(accessToken, "access");
 
-    next(); // ✅ Token valid, continue
-  } catch (err) {
-    return res.status(403).json({ error: "Invalid or expired token" });
+  if (!decoded) {
+    throw new AppError(401, "AUTH_TOKEN_INVALID", "Invalid or expired token");
   }
+
+  req.user = decoded; // you can access this in route
+
+  next(); // ✅ Token valid, continue
 };
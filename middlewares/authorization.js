@@ -0,0 +1,25 @@
+import { AppError } from "../helpers/errors.js";
+
+/**
+ * @function authorizeRoles
+ * @description Creates a middleware that only lets users with one of the given roles through.
+ * Must run after authenticateAccessToken, which sets req.user from the access token.
+ * The role is read from the token, so a role change applies once the user gets a new access token.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ * @example
+ * app.delete("/api/product", authenticateAccessToken, authorizeRoles("editor", "admin"), deleteProduct);
+ */
+export const authorizeRoles =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      throw new AppError(
+        403,
+        "FORBIDDEN",
+        "You do not have permission to perform this action"
+      );
+    }
+
+    next();
+  };
@@ -0,0 +1,45 @@
+/*
+
+Responses are not stored by any cache unless their route opts in: authenticated and mutating
+responses must never be served from a cache. Public reads use cacheControl, e.g. with
+REVALIDATE, so browsers and proxies keep them and revalidate them with a conditional GET.
+
+*/
+
+// may be stored, but has to be revalidated before every use
+export const REVALIDATE = "public, no-cache";
+
+// for files whose content never changes under their URL
+export const IMMUTABLE = "public, max-age=31536000, immutable";
+
+/**
+ * @function noStore
+ * @description Middleware forbidding caches to store the response, the default for every route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const noStore = (req, res, next) => {
+  res.set(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.set("Pragma", "no-cache");
+  res.set("Expires", "0");
+  next();
+};
+
+/**
+ * @function cacheControl
+ * @description Creates a middleware replacing the noStore headers of a route
+ * @param {string} value - Cache-Control header value
+ * @returns {Function} Express middleware
+ * @example
+ * app.get("/api/categories", cacheControl(REVALIDATE), getCategories);
+ */
+export const cacheControl = (value) => (req, res, next) => {
+  res.set("Cache-Control", value);
+  res.removeHeader("Pragma");
+  res.removeHeader("Expires");
+  next();
+};
@@ -0,0 +1,47 @@
+import { AppError, toAppError } from "../helpers/errors.js";
+
+/**
+ * @function notFoundHandler
+ * @description Responds with 404 for requests that matched no route. Mounted after all routes.
+ */
+export const notFoundHandler = (req, res, next) => {
+  next(
+    new AppError(
+      404,
+      "ROUTE_NOT_FOUND",
+      `Route ${req.method} ${req.path} not found`
+    )
+  );
+};
+
+/**
+ * @function errorHandler
+ * @description App-level error middleware, mounted last.
+ * Every error is sent in the { message, status, code } shape, unexpected errors are logged with the request ID.
+ * @example
+ *  Error response (duplicate product name from a concurrent request):
+ * {
+ *   "message": "A record with this value already exists",
+ *   "status": "error",
+ *   "code": "UNIQUE_VIOLATION"
+ * }
+ */
+export const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    req.log.error("Unexpected error", { error: err });
+  }
+
+  // A streamed response already started, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(error.status).json({
+    message: error.message,
+    status: "error",
+    code: error.code,
+    ...error.extra,
+  });
+};
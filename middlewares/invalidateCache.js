@@ -0,0 +1,29 @@
+import { invalidateEntities } from "../helpers/queryCache.js";
+
+/**
+ * @function invalidateOnWrite
+ * @description Creates a middleware invalidating the cached reads of entities once a write succeeded.
+ * The response is held back until the cache is invalidated, so a read sent after it never sees the
+ * old data. A failed write (status 400 or above), whose transaction was rolled back, keeps the cache.
+ * GET and HEAD requests are passed through untouched
+ * @param {...("products"|"categories")} entities - Entities the writes of the route change
+ * @returns {Function} Express middleware
+ * @example
+ * app.use("/api/category", invalidateOnWrite("categories"));
+ */
+export const invalidateOnWrite =
+  (...entities) =>
+  (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      const end = res.end;
+
+      res.end = (...args) => {
+        if (res.statusCode >= 400) return end.apply(res, args);
+
+        invalidateEntities(entities).finally(() => end.apply(res, args));
+        return res;
+      };
+    }
+
+    next();
+  };
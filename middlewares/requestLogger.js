@@ -0,0 +1,54 @@
+import { randomUUID } from "node:crypto";
+import { logger } from "../helpers/logger.js";
+
+// IDs passed on by a proxy or the frontend are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * @function requestLogger
+ * @description Middleware assigning every request an ID and logging it once its response is sent.
+ * The ID is taken from the X-Request-Id header or generated, sent back in X-Request-Id and set as
+ * req.id. req.log logs with the ID. Mounted first, so every response is logged, errors included
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ * @example
+ *  Logged for GET /api/product/12:
+ * {"time":"2025-06-07T10:00:00.000Z","level":"info","msg":"Request completed","requestId":"5b7c…",
+ *  "method":"GET","route":"/api/product/:idOrSlug","path":"/api/product/12","status":200,"durationMs":8.4}
+ */
+export const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const incomingId = req.get("X-Request-Id");
+
+  req.id = REQUEST_ID_PATTERN.test(incomingId ?? "")
+    ? incomingId
+    : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  res.on("close", () => {
+    const fields = {
+      method: req.method,
+      // the route pattern, so requests group by endpoint, null when no route matched
+      route: req.route ? req.baseUrl + req.route.path : null,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs:
+        Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      userId: req.user?.id,
+    };
+
+    if (!res.writableFinished) {
+      req.log.warn("Request aborted", fields);
+    } else if (res.statusCode >= 500) {
+      req.log.error("Request failed", fields);
+    } else if (res.statusCode >= 400) {
+      req.log.warn("Request rejected", fields);
+    } else {
+      req.log.info("Request completed", fields);
+    }
+  });
+
+  next();
+};
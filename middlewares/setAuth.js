@@ -1,18 +1,30 @@
-import jwt from "jsonwebtoken";
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+} from "../helpers/authTokens.js";
+import { config } from "../helpers/config.js";
 
-export const setAuthCookies = (res, payload = { id: "anonymous" }) => {
-  const accessToken = jwt.sign(payload, process.env.JWT_SECRET || "mySecret", {
-    expiresIn: "60s", // 1 minute
-  });
-
-  const refreshToken = jwt.sign(payload, process.env.JWT_SECRET || "mySecret", {
-    expiresIn: "7d",
-  });
+// Secure and SameSite come from COOKIE_SECURE and COOKIE_SAME_SITE
+const COOKIE_FLAGS = [
+  "HttpOnly",
+  config.cookies.secure && "Secure",
+  `SameSite=${config.cookies.sameSite}`,
+]
+  .filter(Boolean)
+  .join("; ");
 
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
   res.setHeader("Set-Cookie", [
-    `access_token=${accessToken}; Path=/; Max-Age=60; HttpOnly; Secure; SameSite=None`,
-    `refresh_token=${refreshToken}; Path=/; Max-Age=604800; HttpOnly; Secure; SameSite=None`,
+    `access_token=${accessToken}; Path=/; Max-Age=${ACCESS_TOKEN_TTL_SECONDS}; ${COOKIE_FLAGS}`,
+    `refresh_token=${refreshToken}; Path=/; Max-Age=${REFRESH_TOKEN_TTL_SECONDS}; ${COOKIE_FLAGS}`,
   ]);
 
   return { accessToken, refreshToken };
 };
+
+export const clearAuthCookies = (res) => {
+  res.setHeader("Set-Cookie", [
+    `access_token=; Path=/; Max-Age=0; ${COOKIE_FLAGS}`,
+    `refresh_token=; Path=/; Max-Age=0; ${COOKIE_FLAGS}`,
+  ]);
+};
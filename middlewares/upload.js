@@ -0,0 +1,75 @@
+import multer from "multer";
+import { AppError } from "../helpers/errors.js";
+import {
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_UPLOAD,
+} from "../helpers/productImages.js";
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: () =>
+    new AppError(
+      413,
+      "PAYLOAD_TOO_LARGE",
+      `An image is larger than ${MAX_IMAGE_SIZE / 1024 / 1024} MB`
+    ),
+  LIMIT_FILE_COUNT: () =>
+    new AppError(
+      400,
+      "TOO_MANY_FILES",
+      `At most ${MAX_IMAGES_PER_UPLOAD} images can be uploaded at once`
+    ),
+  LIMIT_UNEXPECTED_FILE: (error) =>
+    new AppError(
+      400,
+      "UNEXPECTED_FILE",
+      `Unexpected file field ${error.field}, images are sent in the images field`
+    ),
+};
+
+// errors of busboy and multer about the body itself, e.g. a missing boundary or a truncated form
+const BODY_ERROR_PATTERN =
+  /^(Multipart: |Malformed |Unexpected end of |Unsupported content type|Missing Content-Type|Request (aborted|closed|error))/;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_UPLOAD,
+    fields: 10,
+  },
+}).array("images", MAX_IMAGES_PER_UPLOAD);
+
+/**
+ * @function uploadImages
+ * @description Parses a multipart/form-data body with the files in the images field into req.files, kept in memory.
+ * Limit errors of multer and malformed bodies are turned into AppErrors
+ * @throws {413} If a file is larger than MAX_IMAGE_SIZE
+ * @throws {400} If there are too many files or files in another field
+ * @throws {400} If the body is not a complete multipart/form-data body
+ * @example
+ * app.post("/api/product/:id/images", uploadImages, addProductImages)
+ */
+export const uploadImages = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const mapMulterError = MULTER_ERRORS[error.code];
+      return next(
+        mapMulterError
+          ? mapMulterError(error)
+          : new AppError(400, "INVALID_UPLOAD", error.message)
+      );
+    }
+
+    if (error && BODY_ERROR_PATTERN.test(error.message)) {
+      return next(
+        new AppError(
+          400,
+          "INVALID_UPLOAD",
+          `The upload is not a valid multipart/form-data body: ${error.message}`
+        )
+      );
+    }
+
+    next(error);
+  });
+};
@@ -0,0 +1,322 @@
+import { validationError } from "../helpers/errors.js";
+
+/*
+
+Request validation
+
+A schema maps a request part (body, params, query) to its fields, each field has a rule:
+
+- type: "string" | "number" | "integer" | "decimal" | "boolean" | "array" | "object"
+- required: the field must be present (empty strings count as missing)
+- nullable: null is accepted as a value
+- min / max: bounds for numbers and decimals, number of items for arrays
+- scale: maximum number of decimal places of a decimal
+- minLength / maxLength: bounds for string length
+- pattern: RegExp strings must match
+- oneOf: list of accepted values
+- items: rule for every item of an array
+- unique: array items must be unique
+- fields: rules by key for the keys of an object, other keys are dropped
+- values: rule for every value of an object used as a map, e.g. { "size": "M" }
+- trim: false keeps the whitespace around strings, e.g. for passwords
+
+Numeric strings are coerced to numbers for number/integer fields and "true"/"false" to
+booleans, so route params, query strings and JSON bodies are all validated the same way.
+Only plain digits are coerced ("12", "-3", "4.5" for numbers), so "0x10", "1e3" or " 12 " stay
+strings and fail the type check. Integers must fit a Postgres integer column, IDs included.
+Strings are trimmed, unless the rule sets trim: false.
+Decimals are exact amounts like prices, given as a string ("19.99") or a number (19.99) and
+passed on as a string padded to the scale ("19.90"), so they never go through floating point.
+
+*/
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Range of a Postgres integer column
+const MIN_INTEGER = -2147483648;
+const MAX_INTEGER = 2147483647;
+
+const coerce = (value, { type, trim = true }) => {
+  if (type === "decimal" && typeof value === "number") return String(value);
+
+  if (typeof value !== "string") return value;
+
+  if (type === "decimal") return value.trim();
+
+  if (type === "string") return trim ? value.trim() : value;
+
+  if (type === "integer" && INTEGER_PATTERN.test(value)) return Number(value);
+
+  if (type === "number" && DECIMAL_PATTERN.test(value)) return Number(value);
+
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+
+  return value;
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  decimal: (value) => typeof value === "string" && DECIMAL_PATTERN.test(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  decimal: "a decimal number, e.g. 19.99",
+  boolean: "a boolean",
+  array: "an array",
+  object: "an object",
+};
+
+/**
+ * @function validateValue
+ * @description Validates and coerces a single value against a rule
+ * @param {*} rawValue - Value from the request
+ * @param {Object} rule - Field rule, see the top of this file
+ * @param {string} field - Field path used in error messages, e.g. "categoryIds[2]" or "variants[0].sku"
+ * @param {Object[]} errors - Collected errors, appended to in place
+ * @returns {*} The coerced value
+ */
+const validateValue = (rawValue, rule, field, errors) => {
+  const value = coerce(rawValue, rule);
+
+  if (value === undefined || value === "") {
+    if (rule.required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return undefined;
+  }
+
+  if (value === null) {
+    if (!rule.nullable) {
+      errors.push({ field, message: `${field} cannot be null` });
+    }
+    return null;
+  }
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    errors.push({
+      field,
+      message: `${field} must be ${TYPE_NAMES[rule.type]}`,
+    });
+    return value;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    errors.push({
+      field,
+      message: `${field} must be one of ${rule.oneOf.join(", ")}`,
+    });
+  }
+
+  if (rule.type === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({
+        field,
+        message: `${field} must be at least ${rule.minLength} characters`,
+      });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({
+        field,
+        message: `${field} must be at most ${rule.maxLength} characters`,
+      });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({
+        field,
+        message: rule.patternMessage || `${field} has an invalid format`,
+      });
+    }
+  }
+
+  if (rule.type === "integer" && (value < MIN_INTEGER || value > MAX_INTEGER)) {
+    errors.push({
+      field,
+      message: `${field} must be between ${MIN_INTEGER} and ${MAX_INTEGER}`,
+    });
+    return value;
+  }
+
+  if (
+    rule.type === "number" ||
+    rule.type === "integer" ||
+    rule.type === "decimal"
+  ) {
+    if (rule.min !== undefined && Number(value) < rule.min) {
+      errors.push({ field, message: `${field} must be at least ${rule.min}` });
+    }
+    if (rule.max !== undefined && Number(value) > rule.max) {
+      errors.push({ field, message: `${field} must be at most ${rule.max}` });
+    }
+  }
+
+  if (rule.type === "decimal" && rule.scale !== undefined) {
+    const [whole, fraction = ""] = value.split(".");
+
+    if (fraction.length > rule.scale) {
+      errors.push({
+        field,
+        message: `${field} must have at most ${rule.scale} decimal places`,
+      });
+      return value;
+    }
+
+    // "007.5" -> "7.50", the same text Postgres returns for the stored value
+    return `${whole.replace(/^(-?)0+(?=\d)/, "$1")}.${fraction.padEnd(
+      rule.scale,
+      "0"
+    )}`;
+  }
+
+  if (rule.type === "array") {
+    if (rule.min !== undefined && value.length < rule.min) {
+      errors.push({
+        field,
+        message: `${field} must contain at least ${rule.min} item(s)`,
+      });
+    }
+    if (rule.max !== undefined && value.length > rule.max) {
+      errors.push({
+        field,
+        message: `${field} must contain at most ${rule.max} item(s)`,
+      });
+    }
+
+    const items = rule.items
+      ? value.map((item, index) =>
+          validateValue(
+            item,
+            { required: true, ...rule.items },
+            `${field}[${index}]`,
+            errors
+          )
+        )
+      : value;
+
+    if (rule.unique && new Set(items).size !== items.length) {
+      errors.push({ field, message: `${field} must not contain duplicates` });
+    }
+
+    return items;
+  }
+
+  if (rule.type === "object" && rule.fields) {
+    const validated = {};
+
+    for (const [key, keyRule] of Object.entries(rule.fields)) {
+      const keyValue = validateValue(
+        value[key],
+        keyRule,
+        `${field}.${key}`,
+        errors
+      );
+      if (keyValue !== undefined) validated[key] = keyValue;
+    }
+
+    return validated;
+  }
+
+  if (rule.type === "object" && rule.values) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, keyValue]) => [
+        key,
+        validateValue(
+          keyValue,
+          { required: true, ...rule.values },
+          `${field}.${key}`,
+          errors
+        ),
+      ])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * @function validateFields
+ * @description Validates an object against a map of field rules
+ * @param {Object} [input] - Request body, params or query
+ * @param {Object} fields - Rules by field name
+ * @returns {{value: Object, errors: Object[]}} Input with coerced fields, and the errors found
+ */
+export const validateFields = (input = {}, fields) => {
+  const errors = [];
+  const value = { ...input };
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const validated = validateValue(input?.[field], rule, field, errors);
+
+    if (validated === undefined) {
+      delete value[field];
+    } else {
+      value[field] = validated;
+    }
+  }
+
+  return { value, errors };
+};
+
+/**
+ * @function validate
+ * @description Creates a middleware validating the request against a schema.
+ * Passes a 422 VALIDATION_FAILED error with the per-field errors on when the request is invalid,
+ * otherwise replaces req.body / req.params / req.query with the coerced values.
+ * @param {Object} schema - Field rules by request part
+ * @param {Object} [schema.body] - Rules for req.body
+ * @param {Object} [schema.params] - Rules for req.params
+ * @param {Object} [schema.query] - Rules for req.query
+ * @returns {Function} Express middleware
+ * @example
+ * app.delete("/api/product", validate(deleteProductSchema), deleteProduct);
+ *
+ *  Error response:
+ * {
+ *   "message": "Validation failed",
+ *   "status": "error",
+ *   "code": "VALIDATION_FAILED",
+ *   "errors": [
+ *     { "field": "price", "message": "price must be a number" }
+ *   ]
+ * }
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const validated = {};
+
+  for (const part of ["params", "query", "body"]) {
+    if (!schema[part]) continue;
+
+    const result = validateFields(req[part], schema[part]);
+    errors.push(...result.errors);
+    validated[part] = result.value;
+  }
+
+  if (errors.length > 0) {
+    return next(validationError(errors));
+  }
+
+  if (validated.params) req.params = validated.params;
+  if (validated.body) req.body = validated.body;
+  // req.query is a getter in Express 5, shadow it with the coerced values
+  if (validated.query) {
+    Object.defineProperty(req, "query", {
+      value: validated.query,
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,3 @@
+ALTER TABLE "product_categories" DROP CONSTRAINT "product_categories_category_id_categories_id_fk";
+--> statement-breakpoint
+ALTER TABLE "product_categories" ADD CONSTRAINT "product_categories_category_id_categories_id_fk" FOREIGN KEY ("category_id") REFERENCES "public"."categories"("id") ON DELETE restrict ON UPDATE no action;
\ No newline at end of file
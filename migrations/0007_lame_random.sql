@@ -0,0 +1,3 @@
+ALTER TABLE "categories" ADD COLUMN "parent_id" integer;--> statement-breakpoint
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_id_categories_id_fk" FOREIGN KEY ("parent_id") REFERENCES "public"."categories"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "categories" ADD CONSTRAINT "categories_parent_not_self" CHECK ("categories"."parent_id" <> "categories"."id");
\ No newline at end of file
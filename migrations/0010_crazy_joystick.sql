@@ -0,0 +1,3 @@
+ALTER TABLE "products" DROP CONSTRAINT "products_name_unique";--> statement-breakpoint
+ALTER TABLE "products" ADD COLUMN "deleted_at" timestamp;--> statement-breakpoint
+CREATE UNIQUE INDEX "products_name_active_unique" ON "products" USING btree ("name") WHERE "products"."deleted_at" is null;
\ No newline at end of file
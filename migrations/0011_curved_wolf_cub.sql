@@ -0,0 +1,15 @@
+CREATE TYPE "public"."audit_action" AS ENUM('create', 'update', 'delete', 'restore', 'purge');--> statement-breakpoint
+CREATE TYPE "public"."audit_entity_type" AS ENUM('product', 'category');--> statement-breakpoint
+CREATE TABLE "audit_logs" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"entity_type" "audit_entity_type" NOT NULL,
+	"entity_id" integer NOT NULL,
+	"action" "audit_action" NOT NULL,
+	"user_id" integer,
+	"before" jsonb,
+	"after" jsonb,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "audit_logs_entity_idx" ON "audit_logs" USING btree ("entity_type","entity_id","created_at");
\ No newline at end of file
@@ -0,0 +1,6 @@
+-- integer prices are whole currency units, every existing value converts exactly (19 -> 19.00)
+ALTER TABLE "products" ALTER COLUMN "price" SET DATA TYPE numeric(12, 2) USING "price"::numeric(12, 2);--> statement-breakpoint
+ALTER TABLE "products" ADD COLUMN "currency" text DEFAULT 'USD' NOT NULL;--> statement-breakpoint
+-- fails instead of altering data if a negative price was stored before the API validated prices
+ALTER TABLE "products" ADD CONSTRAINT "products_price_non_negative" CHECK ("products"."price" >= 0);--> statement-breakpoint
+ALTER TABLE "products" ADD CONSTRAINT "products_currency_format" CHECK ("products"."currency" ~ '^[A-Z]{3}$');
\ No newline at end of file
@@ -0,0 +1,16 @@
+CREATE TABLE "product_variants" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"product_id" integer NOT NULL,
+	"sku" text NOT NULL,
+	"options" jsonb DEFAULT '{}'::jsonb NOT NULL,
+	"price" numeric(12, 2),
+	"stock" integer DEFAULT 0 NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now(),
+	CONSTRAINT "product_variants_sku_unique" UNIQUE("sku"),
+	CONSTRAINT "product_variants_price_non_negative" CHECK ("product_variants"."price" >= 0),
+	CONSTRAINT "product_variants_stock_non_negative" CHECK ("product_variants"."stock" >= 0)
+);
+--> statement-breakpoint
+ALTER TABLE "product_variants" ADD CONSTRAINT "product_variants_product_id_products_id_fk" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "product_variants_product_options_unique" ON "product_variants" USING btree ("product_id","options");
\ No newline at end of file
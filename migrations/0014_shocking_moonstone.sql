@@ -0,0 +1,19 @@
+CREATE TYPE "public"."stock_movement_type" AS ENUM('receive', 'sell', 'adjust', 'return');--> statement-breakpoint
+CREATE TABLE "stock_movements" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"product_id" integer NOT NULL,
+	"type" "stock_movement_type" NOT NULL,
+	"quantity" integer NOT NULL,
+	"balance" integer NOT NULL,
+	"note" text,
+	"user_id" integer,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "stock_movements_quantity_non_zero" CHECK ("stock_movements"."quantity" <> 0),
+	CONSTRAINT "stock_movements_balance_non_negative" CHECK ("stock_movements"."balance" >= 0)
+);
+--> statement-breakpoint
+ALTER TABLE "products" ADD COLUMN "stock" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_product_id_products_id_fk" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "stock_movements_product_idx" ON "stock_movements" USING btree ("product_id","created_at");--> statement-breakpoint
+ALTER TABLE "products" ADD CONSTRAINT "products_stock_non_negative" CHECK ("products"."stock" >= 0);
\ No newline at end of file
@@ -0,0 +1,4 @@
+ALTER TABLE "products" ADD COLUMN "description" text;--> statement-breakpoint
+ALTER TABLE "products" ADD COLUMN "tags" text[] DEFAULT '{}'::text[] NOT NULL;--> statement-breakpoint
+CREATE INDEX "categories_name_search_idx" ON "categories" USING gin (to_tsvector('english', "name"));--> statement-breakpoint
+CREATE INDEX "products_search_idx" ON "products" USING gin ((setweight(to_tsvector('english', "name"), 'A') || setweight(array_to_tsvector("tags"), 'B') || setweight(to_tsvector('english', coalesce("description", '')), 'C')));
\ No newline at end of file
@@ -0,0 +1,16 @@
+CREATE TABLE "product_images" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"product_id" integer NOT NULL,
+	"storage_key" text NOT NULL,
+	"content_type" text NOT NULL,
+	"size" integer NOT NULL,
+	"position" integer DEFAULT 0 NOT NULL,
+	"is_primary" boolean DEFAULT false NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "product_images_storage_key_unique" UNIQUE("storage_key"),
+	CONSTRAINT "product_images_size_positive" CHECK ("product_images"."size" > 0)
+);
+--> statement-breakpoint
+ALTER TABLE "product_images" ADD CONSTRAINT "product_images_product_id_products_id_fk" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "product_images_product_idx" ON "product_images" USING btree ("product_id","position");--> statement-breakpoint
+CREATE UNIQUE INDEX "product_images_primary_unique" ON "product_images" USING btree ("product_id") WHERE "product_images"."is_primary";
\ No newline at end of file
@@ -0,0 +1,62 @@
+CREATE TYPE "public"."slug_entity_type" AS ENUM('product', 'category');--> statement-breakpoint
+CREATE TABLE "slug_redirects" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"entity_type" "slug_entity_type" NOT NULL,
+	"slug" text NOT NULL,
+	"entity_id" integer NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "categories" ADD COLUMN "slug" text;--> statement-breakpoint
+ALTER TABLE "categories" ADD CONSTRAINT "categories_slug_unique" UNIQUE("slug");--> statement-breakpoint
+-- existing rows get a slug from their name like slugify, common accents are dropped. In id order, a slug
+-- that is already taken gets -2, -3, ... appended like generateUniqueSlug, checked against every slug given so far
+DO $$
+DECLARE
+  "named" record;
+  "base_slug" text;
+  "candidate" text;
+  "suffix" integer;
+BEGIN
+  FOR "named" IN
+    SELECT "id", trim(both '-' from left(regexp_replace(translate(lower("name"), 'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ', 'aaaaaaceeeeiiiinooooouuuuyy'), '[^a-z0-9]+', '-', 'g'), 80)) AS "cleaned"
+    FROM "categories" ORDER BY "id"
+  LOOP
+    "base_slug" := CASE WHEN "named"."cleaned" = '' THEN 'category' WHEN "named"."cleaned" ~ '^[0-9]+$' THEN 'category-' || "named"."cleaned" ELSE "named"."cleaned" END;
+    "candidate" := "base_slug";
+    "suffix" := 1;
+    WHILE EXISTS (SELECT 1 FROM "categories" WHERE "slug" = "candidate") LOOP
+      "suffix" := "suffix" + 1;
+      "candidate" := "base_slug" || '-' || "suffix";
+    END LOOP;
+    UPDATE "categories" SET "slug" = "candidate" WHERE "id" = "named"."id";
+  END LOOP;
+END $$;--> statement-breakpoint
+ALTER TABLE "categories" ALTER COLUMN "slug" SET NOT NULL;--> statement-breakpoint
+ALTER TABLE "products" ADD COLUMN "slug" text;--> statement-breakpoint
+ALTER TABLE "products" ADD CONSTRAINT "products_slug_unique" UNIQUE("slug");--> statement-breakpoint
+-- existing rows get a slug from their name like slugify, common accents are dropped. In id order, a slug
+-- that is already taken gets -2, -3, ... appended like generateUniqueSlug, checked against every slug given so far
+DO $$
+DECLARE
+  "named" record;
+  "base_slug" text;
+  "candidate" text;
+  "suffix" integer;
+BEGIN
+  FOR "named" IN
+    SELECT "id", trim(both '-' from left(regexp_replace(translate(lower("name"), 'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ', 'aaaaaaceeeeiiiinooooouuuuyy'), '[^a-z0-9]+', '-', 'g'), 80)) AS "cleaned"
+    FROM "products" ORDER BY "id"
+  LOOP
+    "base_slug" := CASE WHEN "named"."cleaned" = '' THEN 'product' WHEN "named"."cleaned" ~ '^[0-9]+$' THEN 'product-' || "named"."cleaned" ELSE "named"."cleaned" END;
+    "candidate" := "base_slug";
+    "suffix" := 1;
+    WHILE EXISTS (SELECT 1 FROM "products" WHERE "slug" = "candidate") LOOP
+      "suffix" := "suffix" + 1;
+      "candidate" := "base_slug" || '-' || "suffix";
+    END LOOP;
+    UPDATE "products" SET "slug" = "candidate" WHERE "id" = "named"."id";
+  END LOOP;
+END $$;--> statement-breakpoint
+ALTER TABLE "products" ALTER COLUMN "slug" SET NOT NULL;--> statement-breakpoint
+CREATE UNIQUE INDEX "slug_redirects_entity_type_slug_unique" ON "slug_redirects" USING btree ("entity_type","slug");
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "categories" ADD COLUMN "updated_at" timestamp DEFAULT now();--> statement-breakpoint
+-- existing categories have not changed since they were created, as far as anyone knows
+UPDATE "categories" SET "updated_at" = "created_at" WHERE "created_at" IS NOT NULL;
@@ -0,0 +1,11 @@
+ALTER TABLE "stock_movements" ADD COLUMN "variant_id" integer;--> statement-breakpoint
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_variant_id_product_variants_id_fk" FOREIGN KEY ("variant_id") REFERENCES "public"."product_variants"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+-- products with variants hold the total of their variants from now on, the difference is recorded as an adjustment
+INSERT INTO "stock_movements" ("product_id", "type", "quantity", "balance", "note")
+SELECT "products"."id", 'adjust', "totals"."stock" - "products"."stock", "totals"."stock", 'Stock taken over from the variants'
+FROM "products"
+INNER JOIN (SELECT "product_id", sum("stock")::integer AS "stock" FROM "product_variants" GROUP BY "product_id") AS "totals" ON "totals"."product_id" = "products"."id"
+WHERE "totals"."stock" <> "products"."stock";--> statement-breakpoint
+UPDATE "products" SET "stock" = "totals"."stock", "updated_at" = now()
+FROM (SELECT "product_id", sum("stock")::integer AS "stock" FROM "product_variants" GROUP BY "product_id") AS "totals"
+WHERE "totals"."product_id" = "products"."id" AND "totals"."stock" <> "products"."stock";
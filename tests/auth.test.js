@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { request, signIn } from "./support/api.js";
+
+describe("registration", () => {
+  it("creates viewers only", async () => {
+    const { status, body } = await request("POST", "/api/auth/register", {
+      body: { email: "first@example.com", password: "correct horse battery" },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.role, "viewer");
+  });
+
+  it("answers invalid credentials with per-field errors", async () => {
+    const { status, body } = await request("POST", "/api/auth/register", {
+      body: { email: "not-an-email", password: "short" },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.code, "VALIDATION_FAILED");
+    assert.deepEqual(body.errors.map((error) => error.field).sort(), [
+      "email",
+      "password",
+    ]);
+  });
+});
+
+describe("catalog writes", () => {
+  it("need a logged in user", async () => {
+    const { status, body } = await request("POST", "/api/category/add", {
+      body: { name: "Shoes" },
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, "AUTH_TOKEN_MISSING");
+  });
+
+  it("are refused to viewers", async () => {
+    const { status, body } = await request("POST", "/api/category/add", {
+      body: { name: "Shoes" },
+      cookie: await signIn("viewer"),
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, "FORBIDDEN");
+  });
+});
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { request, signIn } from "./support/api.js";
+
+let cookie;
+
+before(async () => {
+  cookie = await signIn("editor");
+});
+
+const addCategory = async (name, parentId) => {
+  const { body } = await request("POST", "/api/category/add", {
+    body: { name, ...(parentId && { parentId }) },
+    cookie,
+  });
+
+  return body.data[0];
+};
+
+const addProduct = async (name, categoryIds) => {
+  const { body } = await request("POST", "/api/product/add", {
+    body: { name, price: "10.00", categoryIds },
+    cookie,
+  });
+
+  return body.data;
+};
+
+describe("deleting a category", () => {
+  it("is refused while products use it", async () => {
+    const category = await addCategory("Scarves");
+    await addProduct("Wool Scarf", [category.id]);
+
+    const { status, body } = await request(
+      "DELETE",
+      `/api/category/${category.id}`,
+      { cookie }
+    );
+
+    assert.equal(status, 409);
+    assert.equal(body.code, "CATEGORY_IN_USE");
+  });
+
+  it("is refused while it has subcategories", async () => {
+    const parent = await addCategory("Outerwear");
+    await addCategory("Raincoats", parent.id);
+
+    const { status, body } = await request(
+      "DELETE",
+      `/api/category/${parent.id}`,
+      { cookie }
+    );
+
+    assert.equal(status, 409);
+    assert.equal(body.code, "CATEGORY_HAS_SUBCATEGORIES");
+  });
+
+  it("with cascade removes it from its products and records their update", async () => {
+    const category = await addCategory("Gloves");
+    const kept = await addCategory("Winter");
+    const product = await addProduct("Leather Gloves", [category.id, kept.id]);
+    const { body: read } = await request("GET", `/api/product/${product.id}`);
+
+    const { status, body } = await request(
+      "DELETE",
+      `/api/category/${category.id}?cascade=true`,
+      { cookie }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data.removedProductAssociations, 1);
+
+    const { body: after } = await request("GET", `/api/product/${product.id}`);
+    assert.deepEqual(
+      after.data.categories.map(({ id }) => id),
+      [kept.id]
+    );
+    assert.ok(after.data.version > read.data.version);
+
+    const { body: history } = await request(
+      "GET",
+      `/api/product/${product.id}/history`,
+      { cookie }
+    );
+    const update = history.data.at(-1);
+    assert.equal(update.action, "update");
+    assert.deepEqual(update.changes.categoryIds, {
+      from: [category.id, kept.id],
+      to: [kept.id],
+    });
+  });
+});
+
+describe("moving a category", () => {
+  it("under its own subcategory is refused", async () => {
+    const parent = await addCategory("Bags");
+    const child = await addCategory("Backpacks", parent.id);
+
+    const { status, body } = await request(
+      "PUT",
+      `/api/category/${parent.id}`,
+      { body: { parentId: child.id }, cookie }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "CATEGORY_CYCLE");
+  });
+});
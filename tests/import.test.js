@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { IMPORT_MAX_ROWS } from "../helpers/productImport.js";
+import { request, signIn } from "./support/api.js";
+
+let cookie;
+let categoryId;
+
+before(async () => {
+  cookie = await signIn("editor");
+
+  const category = await request("POST", "/api/category/add", {
+    body: { name: "Garden Furniture" },
+    cookie,
+  });
+  [{ id: categoryId }] = category.body.data;
+});
+
+const importRows = (rows, query = "") =>
+  request("POST", `/api/products/import${query}`, { body: rows, cookie });
+
+describe("product import", () => {
+  it("accepts JSON bodies of the full row limit", async () => {
+    const rows = Array.from({ length: IMPORT_MAX_ROWS }, (_, index) => ({
+      name: `Weatherproof teak garden bench with cushions, model ${index}`.padEnd(
+        150,
+        "."
+      ),
+      price: "249.90",
+      currency: "EUR",
+      categories: ["Garden Furniture"],
+    }));
+    assert.ok(JSON.stringify(rows).length > 100 * 1024);
+
+    const { status, body } = await importRows(rows, "?dryRun=true");
+
+    assert.equal(status, 200);
+    assert.equal(body.data.summary.created, IMPORT_MAX_ROWS);
+  });
+
+  it("refuses more rows than the limit", async () => {
+    const rows = Array.from({ length: IMPORT_MAX_ROWS + 1 }, (_, index) => ({
+      name: `Bench ${index}`,
+      price: "10.00",
+      categories: ["Garden Furniture"],
+    }));
+
+    const { status, body } = await importRows(rows);
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_IMPORT");
+  });
+
+  it("needs an editor", async () => {
+    const { status } = await request("POST", "/api/products/import", {
+      body: [
+        { name: "Bench", price: "10.00", categories: ["Garden Furniture"] },
+      ],
+    });
+
+    assert.equal(status, 401);
+  });
+});
+
+describe("CSV export", () => {
+  it("keeps spreadsheets from running names as formulas and imports them back", async () => {
+    const name = '=HYPERLINK("http://example.com","Deck chair")';
+    await request("POST", "/api/product/add", {
+      body: { name, price: "59.00", categoryIds: [categoryId] },
+      cookie,
+    });
+
+    const exported = await request(
+      "GET",
+      `/api/products/export?format=csv&name=${encodeURIComponent("HYPERLINK")}`
+    );
+    const [, line] = exported.body.split("\r\n");
+    assert.ok(line.split(",")[1].startsWith(`"'=HYPERLINK`));
+
+    const { status, body } = await request(
+      "POST",
+      "/api/products/import?dryRun=true",
+      {
+        body: exported.body,
+        headers: { "Content-Type": "text/csv" },
+        cookie,
+      }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.summary, {
+      created: 0,
+      updated: 0,
+      skipped: 1,
+      error: 0,
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+import { PGlite } from "@electric-sql/pglite";
+
+const MIGRATIONS_DIR = new URL("../migrations/", import.meta.url);
+
+/**
+ * @function migrateUpTo
+ * @description Applies the migrations in journal order, stopping before the one with the given prefix
+ * @param {PGlite} client - Database to migrate
+ * @param {string} [stopBefore] - Prefix of the first migration not to apply, e.g. "0017"
+ * @returns {Promise<string[]>} Tags of the migrations left
+ */
+const migrateUpTo = async (client, stopBefore) => {
+  const journal = JSON.parse(
+    await readFile(new URL("meta/_journal.json", MIGRATIONS_DIR), "utf8")
+  );
+  const tags = journal.entries.map((entry) => entry.tag);
+  const stopIndex = stopBefore
+    ? tags.findIndex((tag) => tag.startsWith(stopBefore))
+    : tags.length;
+
+  for (const tag of tags.slice(0, stopIndex)) {
+    await applyMigration(client, tag);
+  }
+
+  return tags.slice(stopIndex);
+};
+
+const applyMigration = async (client, tag) => {
+  const migration = await readFile(
+    new URL(`${tag}.sql`, MIGRATIONS_DIR),
+    "utf8"
+  );
+
+  for (const statement of migration.split("--> statement-breakpoint")) {
+    if (statement.trim()) await client.exec(statement);
+  }
+};
+
+describe("slug backfill (0017)", () => {
+  it("gives every existing row a unique slug, also when a suffix meets a name", async () => {
+    const client = new PGlite();
+    const [slugMigration] = await migrateUpTo(client, "0017");
+
+    await client.exec(`
+      INSERT INTO "products" ("id", "name", "price") VALUES
+        (1, 'shoe-2', 1), (11, 'Shoe', 2), (12, 'shoe!', 3), (13, 'Shoe 2', 4), (14, '42', 5);
+      INSERT INTO "categories" ("id", "name") VALUES
+        (1, 'female_clothing'), (2, 'Female Clothing'), (3, 'female-clothing-2'), (4, '!!!');
+    `);
+
+    await applyMigration(client, slugMigration);
+
+    const products = await client.query(
+      `SELECT "id", "slug" FROM "products" ORDER BY "id"`
+    );
+    const categories = await client.query(
+      `SELECT "id", "slug" FROM "categories" ORDER BY "id"`
+    );
+
+    assert.deepEqual(products.rows, [
+      { id: 1, slug: "shoe-2" },
+      { id: 11, slug: "shoe" },
+      { id: 12, slug: "shoe-3" },
+      { id: 13, slug: "shoe-2-2" },
+      { id: 14, slug: "product-42" },
+    ]);
+    assert.deepEqual(categories.rows, [
+      { id: 1, slug: "female-clothing" },
+      { id: 2, slug: "female-clothing-2" },
+      { id: 3, slug: "female-clothing-2-2" },
+      { id: 4, slug: "category" },
+    ]);
+  });
+});
@@ -0,0 +1,285 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { eq } from "drizzle-orm";
+import { db } from "../database/db.js";
+import { products } from "../database/schema/product.js";
+import { touchProduct } from "../helpers/products.js";
+import { request, signIn } from "./support/api.js";
+
+let cookie;
+let categoryId;
+
+before(async () => {
+  cookie = await signIn("editor");
+
+  const category = await request("POST", "/api/category/add", {
+    body: { name: "Shoes" },
+    cookie,
+  });
+  [{ id: categoryId }] = category.body.data;
+});
+
+const addProduct = async (name) => {
+  const { body } = await request("POST", "/api/product/add", {
+    body: { name, price: "10.00", categoryIds: [categoryId] },
+    cookie,
+  });
+
+  return body.data;
+};
+
+describe("product validation", () => {
+  it("reports every invalid field of a new product", async () => {
+    const { status, body } = await request("POST", "/api/product/add", {
+      body: { name: "", price: "ten", categoryIds: [] },
+      cookie,
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.code, "VALIDATION_FAILED");
+    assert.deepEqual(body.errors.map((error) => error.field).sort(), [
+      "categoryIds",
+      "name",
+      "price",
+    ]);
+  });
+
+  it("reports malformed list filters per field", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/products?minPrice=x&categoryIds=a&sort=bad&limit=0"
+    );
+
+    assert.equal(status, 422);
+    assert.equal(body.code, "VALIDATION_FAILED");
+    assert.deepEqual(body.errors.map((error) => error.field).sort(), [
+      "categoryIds",
+      "limit",
+      "minPrice",
+      "sort",
+    ]);
+  });
+
+  it("takes only plain digits as IDs, within the integer range", async () => {
+    for (const id of ["0x10", "1e3", "%2012%20", "99999999999999"]) {
+      const { status, body } = await request(
+        "POST",
+        `/api/product/${id}/restore`,
+        { cookie }
+      );
+
+      assert.equal(status, 422, id);
+      assert.deepEqual(
+        body.errors.map((error) => error.field),
+        ["id"],
+        id
+      );
+    }
+
+    const { status, body } = await request("DELETE", "/api/product?id=1e3", {
+      cookie,
+    });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.errors, [
+      { field: "id", message: "id must be an integer" },
+    ]);
+  });
+
+  it("reports malformed facet filters the same way", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/products/facets?minPrice=5&maxPrice=1"
+    );
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.errors, [
+      {
+        field: "minPrice",
+        message: "minPrice cannot be greater than maxPrice",
+      },
+    ]);
+  });
+});
+
+describe("product pages", () => {
+  it("continue from a cursor only with the sort it was returned for", async () => {
+    await addProduct("Sandal");
+    await addProduct("Slipper");
+
+    const first = await request("GET", "/api/products?sort=price:asc&limit=1");
+    const { nextCursor } = first.body.pagination;
+    assert.ok(nextCursor);
+
+    const next = await request(
+      "GET",
+      `/api/products?sort=price:asc&limit=1&cursor=${nextCursor}`
+    );
+    assert.equal(next.status, 200);
+    assert.notEqual(next.body.data[0].id, first.body.data[0].id);
+
+    for (const sort of ["name:asc", "price:desc"]) {
+      const { status, body } = await request(
+        "GET",
+        `/api/products?sort=${sort}&limit=1&cursor=${nextCursor}`
+      );
+
+      assert.equal(status, 422, sort);
+      assert.deepEqual(
+        body.errors.map((error) => error.field),
+        ["cursor"],
+        sort
+      );
+    }
+  });
+});
+
+describe("product categories", () => {
+  it("are all checked before a product is added", async () => {
+    const { status, body } = await request("POST", "/api/product/add", {
+      body: {
+        name: "Loafers",
+        price: "10.00",
+        categoryIds: [categoryId, 9998],
+      },
+      cookie,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "CATEGORY_NOT_FOUND");
+    assert.deepEqual(body.missing, [9998]);
+  });
+
+  it("are kept when an edit names only unknown categories", async () => {
+    const product = await addProduct("Clogs");
+
+    const { status, body } = await request("PUT", "/api/product", {
+      body: { id: product.id, categoryIds: [9998, 9999] },
+      cookie,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "CATEGORY_NOT_FOUND");
+    assert.deepEqual(body.missing, [9998, 9999]);
+
+    const { body: current } = await request(
+      "GET",
+      `/api/product/${product.id}`
+    );
+    assert.deepEqual(
+      current.data.categories.map(({ id }) => id),
+      [categoryId]
+    );
+  });
+});
+
+describe("trashed products", () => {
+  it("have no variants or images to change", async () => {
+    const product = await addProduct("Espadrilles");
+    await request("DELETE", `/api/product?id=${product.id}`, { cookie });
+
+    const variant = await request(
+      "POST",
+      `/api/product/${product.id}/variants`,
+      {
+        body: { sku: "ESP-40", options: { size: "40" } },
+        cookie,
+      }
+    );
+    const images = await request("GET", `/api/product/${product.id}/images`);
+
+    assert.equal(variant.status, 404);
+    assert.equal(variant.body.code, "PRODUCT_NOT_FOUND");
+    assert.equal(images.status, 404);
+    assert.equal(images.body.code, "PRODUCT_NOT_FOUND");
+  });
+});
+
+describe("product versions", () => {
+  it("sends the version as ETag", async () => {
+    const product = await addProduct("Boots");
+    const { headers, body } = await request(
+      "GET",
+      `/api/product/${product.id}`
+    );
+
+    assert.equal(headers.get("ETag"), `"${body.data.version}"`);
+  });
+
+  it("refuses an edit based on an outdated version", async () => {
+    const product = await addProduct("Sandals");
+    const { headers } = await request("GET", `/api/product/${product.id}`);
+    const etag = headers.get("ETag");
+
+    const first = await request("PUT", "/api/product", {
+      body: { id: product.id, name: "Beach Sandals" },
+      headers: { "If-Match": etag },
+      cookie,
+    });
+    assert.equal(first.status, 200);
+
+    const second = await request("PUT", "/api/product", {
+      body: { id: product.id, name: "Summer Sandals" },
+      headers: { "If-Match": etag },
+      cookie,
+    });
+    assert.equal(second.status, 409);
+    assert.equal(second.body.code, "PRODUCT_VERSION_CONFLICT");
+    assert.equal(second.body.data.name, "Beach Sandals");
+  });
+
+  it("refuses weak ETags in If-Match", async () => {
+    const product = await addProduct("Slippers");
+    const { headers } = await request("GET", `/api/product/${product.id}`);
+
+    const { status, body } = await request("PUT", "/api/product", {
+      body: { id: product.id, name: "House Slippers" },
+      headers: { "If-Match": `W/${headers.get("ETag")}` },
+      cookie,
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.errors[0].field, "If-Match");
+  });
+
+  it("moves past the current one, even one from the same millisecond", async () => {
+    const product = await addProduct("Mules");
+    // as if the last change was in this very millisecond, on a clock slightly ahead
+    const current = new Date(Date.now() + 60_000);
+    await db
+      .update(products)
+      .set({ updatedAt: current })
+      .where(eq(products.id, product.id));
+
+    await touchProduct(db, product.id);
+
+    const { body } = await request("GET", `/api/product/${product.id}`);
+    assert.equal(body.data.version, current.getTime() + 1);
+  });
+
+  it("changes with a stock movement, which an edit has to be based on", async () => {
+    const product = await addProduct("Wellingtons");
+    const { headers } = await request("GET", `/api/product/${product.id}`);
+
+    const movement = await request("POST", `/api/product/${product.id}/stock`, {
+      body: { type: "receive", quantity: 5 },
+      cookie,
+    });
+    assert.equal(movement.status, 200);
+
+    const stale = await request("PUT", "/api/product", {
+      body: { id: product.id, name: "Rain Boots" },
+      headers: { "If-Match": headers.get("ETag") },
+      cookie,
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.data.stock, 5);
+
+    const retried = await request("PUT", "/api/product", {
+      body: { id: product.id, name: "Rain Boots" },
+      headers: { "If-Match": `"${stale.body.data.version}"` },
+      cookie,
+    });
+    assert.equal(retried.status, 200);
+  });
+});
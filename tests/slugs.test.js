@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { request, signIn } from "./support/api.js";
+
+let cookie;
+let categoryId;
+
+before(async () => {
+  cookie = await signIn("editor");
+
+  const category = await request("POST", "/api/category/add", {
+    body: { name: "Hats" },
+    cookie,
+  });
+  [{ id: categoryId }] = category.body.data;
+});
+
+const addProduct = async (name) => {
+  const { body } = await request("POST", "/api/product/add", {
+    body: { name, price: "10.00", categoryIds: [categoryId] },
+    cookie,
+  });
+
+  return body.data;
+};
+
+const changeSlug = (id, slug) =>
+  request("PUT", "/api/product", { body: { id, slug }, cookie });
+
+describe("product slugs", () => {
+  it("are generated from the name", async () => {
+    const product = await addProduct("Crème Brûlée Hat!");
+
+    assert.equal(product.slug, "creme-brulee-hat");
+  });
+
+  it("redirect from a former slug to the current one", async () => {
+    const product = await addProduct("Straw Hat");
+    await changeSlug(product.id, "summer-hat");
+
+    const { status, headers } = await request(
+      "GET",
+      "/api/product/straw-hat?currency=USD"
+    );
+
+    assert.equal(status, 301);
+    assert.equal(
+      headers.get("Location"),
+      "/api/product/summer-hat?currency=USD"
+    );
+  });
+
+  it("refuse the former slug of another product", async () => {
+    const product = await addProduct("Bowler Hat");
+    const other = await addProduct("Top Hat");
+    await changeSlug(product.id, "derby-hat");
+
+    const { status, body } = await changeSlug(other.id, "bowler-hat");
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "SLUG_ALREADY_EXISTS");
+  });
+
+  it("can take back their own former slug", async () => {
+    const product = await addProduct("Sun Hat");
+    await changeSlug(product.id, "beach-hat");
+
+    const { status, body } = await changeSlug(product.id, "sun-hat");
+
+    assert.equal(status, 200);
+    assert.equal(body.data.slug, "sun-hat");
+    const redirect = await request("GET", "/api/product/beach-hat");
+    assert.equal(redirect.headers.get("Location"), "/api/product/sun-hat");
+  });
+});
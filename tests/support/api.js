@@ -0,0 +1,86 @@
+import { after } from "node:test";
+import { eq } from "drizzle-orm";
+import app from "../../index.js";
+import { db } from "../../database/db.js";
+import { users } from "../../database/schema/user.js";
+
+/*
+
+Requests against the backend, listening on a free port until the test file is done
+
+*/
+
+const server = app.listen(0);
+const baseUrl = `http://localhost:${server.address().port}`;
+
+after(() => server.close());
+
+/**
+ * @function request
+ * @description Sends a request to the backend
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with the query string
+ * @param {Object} [options]
+ * @param {*} [options.body] - JSON body, or a string sent as it is with the Content-Type of headers
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.cookie] - Auth cookies of a user, see signIn
+ * @returns {Promise<{status: number, headers: Headers, body: *}>} Response with the parsed JSON body
+ * @example
+ * const { status, body } = await request("GET", "/api/products?minPrice=x");
+ */
+export const request = async (
+  method,
+  path,
+  { body, headers = {}, cookie } = {}
+) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    redirect: "manual",
+    headers: {
+      ...(body !== undefined &&
+        typeof body !== "string" && { "Content-Type": "application/json" }),
+      ...(cookie && { Cookie: cookie }),
+      ...headers,
+    },
+    body:
+      body === undefined || typeof body === "string"
+        ? body
+        : JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body:
+      text && response.headers.get("Content-Type")?.includes("json")
+        ? JSON.parse(text)
+        : text,
+  };
+};
+
+/**
+ * @function signIn
+ * @description Registers a user with a role and logs them in
+ * @param {"viewer"|"editor"|"admin"} role - Role of the user
+ * @returns {Promise<string>} Cookie header with the auth cookies of the user
+ * @example
+ * const cookie = await signIn("editor");
+ * await request("POST", "/api/product", { body, cookie });
+ */
+export const signIn = async (role) => {
+  const email = `${role}-${crypto.randomUUID()}@example.com`;
+  const password = "correct horse battery";
+
+  await request("POST", "/api/auth/register", { body: { email, password } });
+  await db.update(users).set({ role }).where(eq(users.email, email));
+
+  const login = await request("POST", "/api/auth/login", {
+    body: { email, password },
+  });
+
+  return login.headers
+    .getSetCookie()
+    .map((cookie) => cookie.split(";")[0])
+    .join("; ");
+};
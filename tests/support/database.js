@@ -0,0 +1,17 @@
+import { PGlite } from "@electric-sql/pglite";
+import { drizzle } from "drizzle-orm/pglite";
+import { migrate } from "drizzle-orm/pglite/migrator";
+import * as schema from "../../database/schema/index.js";
+
+/*
+
+In-memory Postgres (PGlite) standing in for database/db.js in the tests. Every test file
+runs in its own process, so it starts from an empty database with every migration applied.
+
+*/
+
+export const db = drizzle(new PGlite(), { schema });
+
+await migrate(db, {
+  migrationsFolder: new URL("../../migrations", import.meta.url).pathname,
+});
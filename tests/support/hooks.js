@@ -0,0 +1,19 @@
+/*
+
+Module hooks of the tests, see tests/support/register.js
+
+Every import of database/db.js gets tests/support/database.js instead, so the backend runs
+its queries against an in-memory Postgres.
+
+*/
+
+const DATABASE_MODULE = new URL("../../database/db.js", import.meta.url).href;
+const TEST_DATABASE_MODULE = new URL("./database.js", import.meta.url).href;
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const resolved = await nextResolve(specifier, context);
+
+  return resolved.url === DATABASE_MODULE
+    ? { url: TEST_DATABASE_MODULE, shortCircuit: true }
+    : resolved;
+};
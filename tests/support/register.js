@@ -0,0 +1,17 @@
+import { register } from "node:module";
+
+/*
+
+Test setup, loaded with --import before every test file: npm test
+
+helpers/config.js reads its variables when it is first imported. DATABASE_URL is required
+there but never connected to, database/db.js is replaced by the in-memory database of
+tests/support/database.js.
+
+*/
+
+process.env.NODE_ENV = "test";
+process.env.DATABASE_URL = "postgres://test@localhost/test";
+process.env.CACHE_STORE = "memory";
+
+register("./hooks.js", import.meta.url);
@@ -0,0 +1,38 @@
+import { USER_ROLES } from "../database/schema/user.js";
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const registerSchema = {
+  body: {
+    email: {
+      type: "string",
+      required: true,
+      maxLength: 255,
+      pattern: /^[^\s@]+@[^\s@]+$/,
+      patternMessage: "email must be a valid email address",
+    },
+    password: {
+      type: "string",
+      required: true,
+      minLength: MIN_PASSWORD_LENGTH,
+      maxLength: 1024,
+      trim: false,
+    },
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: { type: "string", required: true },
+    password: { type: "string", required: true, trim: false },
+  },
+};
+
+export const assignUserRoleSchema = {
+  params: {
+    id: { type: "integer", required: true, min: 1 },
+  },
+  body: {
+    role: { type: "string", required: true, oneOf: USER_ROLES },
+  },
+};
@@ -0,0 +1,44 @@
+import { idOrSlug, slug } from "./slugValidator.js";
+
+const params = {
+  id: { type: "integer", required: true, min: 1 },
+};
+
+const name = { type: "string", maxLength: 100 };
+
+// null makes the category a top level category
+const parentId = { type: "integer", nullable: true, min: 1 };
+
+export const getCategoriesSchema = {
+  query: {
+    includeProductCount: { type: "boolean" },
+  },
+};
+
+export const getCategorySchema = {
+  params: { idOrSlug },
+};
+
+// the filters, sort and pagination of GET /api/products are checked by fetchProductPage
+export const getCategoryProductsSchema = {
+  params: { idOrSlug },
+};
+
+export const addCategorySchema = {
+  body: {
+    name: { ...name, required: true },
+    parentId,
+  },
+};
+
+export const editCategorySchema = {
+  params,
+  body: { name, slug, parentId },
+};
+
+export const deleteCategorySchema = {
+  params,
+  query: {
+    cascade: { type: "boolean" },
+  },
+};
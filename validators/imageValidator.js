@@ -0,0 +1,27 @@
+const id = { type: "integer", required: true, min: 1 };
+
+export const getProductImagesSchema = {
+  params: { id },
+};
+
+// the files themselves are checked by uploadImages and addProductImages
+export const addProductImagesSchema = {
+  params: { id },
+};
+
+export const arrangeProductImagesSchema = {
+  params: { id },
+  body: {
+    imageIds: {
+      type: "array",
+      required: true,
+      unique: true,
+      items: { type: "integer", min: 1 },
+    },
+    primaryImageId: { type: "integer", min: 1 },
+  },
+};
+
+export const deleteProductImageSchema = {
+  params: { id, imageId: id },
+};
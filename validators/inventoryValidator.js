@@ -0,0 +1,34 @@
+import { STOCK_MOVEMENT_TYPES } from "../helpers/inventory.js";
+import { MAX_PAGE_SIZE } from "../helpers/pagination.js";
+
+const id = { type: "integer", required: true, min: 1 };
+
+const limit = { type: "integer", min: 1, max: MAX_PAGE_SIZE };
+
+const page = { type: "integer", min: 1 };
+
+export const addStockMovementSchema = {
+  params: { id },
+  body: {
+    // required for a product with variants
+    variantId: { type: "integer", min: 1 },
+    type: { type: "string", required: true, oneOf: STOCK_MOVEMENT_TYPES },
+    // positive, only an adjustment can be negative
+    quantity: { type: "integer", required: true, min: -1000000, max: 1000000 },
+    note: { type: "string", maxLength: 500 },
+  },
+};
+
+export const getStockMovementsSchema = {
+  params: { id },
+  query: { limit, page },
+};
+
+export const lowStockSchema = {
+  query: {
+    // products with less stock than this are listed
+    threshold: { type: "integer", min: 1 },
+    limit,
+    page,
+  },
+};
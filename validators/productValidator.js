@@ -0,0 +1,161 @@
+import { MAX_PAGE_SIZE } from "../helpers/pagination.js";
+import { idOrSlug, slug } from "./slugValidator.js";
+import { variantFields } from "./variantValidator.js";
+
+const id = { type: "integer", required: true, min: 1 };
+
+// fits the numeric(12, 2) price column
+const price = { type: "decimal", scale: 2, min: 0, max: 9999999999.99 };
+
+const currency = {
+  type: "string",
+  pattern: /^[A-Z]{3}$/,
+  patternMessage: "currency must be a 3-letter ISO 4217 code, e.g. USD",
+};
+
+// the complete list of variants of a product, matched to existing variants by sku
+const variants = {
+  type: "array",
+  max: 100,
+  items: { type: "object", fields: variantFields },
+};
+
+const description = { type: "string", maxLength: 5000 };
+
+// stored lowercase, see normalizeTags
+const tags = {
+  type: "array",
+  max: 20,
+  items: { type: "string", minLength: 1, maxLength: 50 },
+};
+
+const categoryIds = {
+  type: "array",
+  min: 1,
+  unique: true,
+  items: { type: "integer", min: 1 },
+};
+
+export const addProductSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 255 },
+    price: { ...price, required: true },
+    currency,
+    description,
+    tags,
+    categoryIds: { ...categoryIds, required: true },
+    variants,
+  },
+};
+
+export const editProductSchema = {
+  body: {
+    id,
+    // version the edit is based on, see helpers/productVersion.js
+    version: { type: "integer", min: 0 },
+    name: { type: "string", maxLength: 255 },
+    slug,
+    price,
+    currency,
+    // null removes the description
+    description: { ...description, nullable: true },
+    tags,
+    categoryIds,
+    variants,
+  },
+};
+
+export const getProductSchema = {
+  params: { idOrSlug },
+};
+
+export const deleteProductSchema = {
+  query: { id },
+};
+
+export const searchProductsSchema = {
+  query: {
+    q: { type: "string", required: true, minLength: 1, maxLength: 200 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+    page: { type: "integer", min: 1 },
+  },
+};
+
+export const trashedProductSchema = {
+  params: { id },
+};
+
+export const productHistorySchema = {
+  params: { id },
+};
+
+export const importProductsSchema = {
+  query: {
+    dryRun: { type: "boolean" },
+    createMissingCategories: { type: "boolean" },
+  },
+};
+
+export const exportProductsSchema = {
+  query: {
+    format: { type: "string", oneOf: ["csv", "json", "ndjson"] },
+  },
+};
+
+// Rules for every row of an import, checked per row by importProductRows
+export const importProductRowFields = {
+  name: { type: "string", required: true, maxLength: 255 },
+  price: { ...price, required: true },
+  currency,
+  categories: {
+    type: "array",
+    required: true,
+    min: 1,
+    items: { type: "string", maxLength: 100 },
+  },
+};
+
+export const BULK_OPERATION_TYPES = [
+  "setPrice",
+  "adjustPrice",
+  "addCategories",
+  "removeCategories",
+  "delete",
+];
+
+export const bulkProductsSchema = {
+  body: {
+    operations: { type: "array", required: true, min: 1, max: 50 },
+  },
+};
+
+const productIds = {
+  type: "array",
+  required: true,
+  min: 1,
+  max: 500,
+  unique: true,
+  items: { type: "integer", min: 1 },
+};
+
+// Rules for every operation of a bulk request by type, checked per operation by applyBulkOperations
+export const bulkOperationFields = {
+  setPrice: {
+    productIds,
+    price: { ...price, required: true },
+  },
+  adjustPrice: {
+    productIds,
+    // percentage change, e.g. -10 for a 10% discount
+    percent: { type: "number", required: true, min: -100, max: 1000 },
+  },
+  addCategories: {
+    productIds,
+    categoryIds: { ...categoryIds, required: true },
+  },
+  removeCategories: {
+    productIds,
+    categoryIds: { ...categoryIds, required: true },
+  },
+  delete: { productIds },
+};
@@ -0,0 +1,23 @@
+import {
+  ID_OR_SLUG_PATTERN,
+  SLUG_MAX_LENGTH,
+  SLUG_PATTERN,
+} from "../helpers/slugs.js";
+
+// a new slug of a product or category
+export const slug = {
+  type: "string",
+  maxLength: SLUG_MAX_LENGTH,
+  pattern: SLUG_PATTERN,
+  patternMessage:
+    "slug must be lowercase letters and digits joined by dashes, and not only digits",
+};
+
+// URL parameter taking a numeric ID or a slug
+export const idOrSlug = {
+  type: "string",
+  required: true,
+  maxLength: SLUG_MAX_LENGTH,
+  pattern: ID_OR_SLUG_PATTERN,
+  patternMessage: "idOrSlug must be a numeric ID or a slug",
+};
@@ -0,0 +1,43 @@
+const id = { type: "integer", required: true, min: 1 };
+
+const sku = {
+  type: "string",
+  maxLength: 64,
+  pattern: /^[A-Za-z0-9._-]+$/,
+  patternMessage:
+    "sku can only contain letters, digits, dots, dashes and underscores",
+};
+
+// Fields of a variant, also used for the variants of addProduct and editProduct
+export const variantFields = {
+  sku: { ...sku, required: true },
+  // e.g. { "size": "M", "color": "red" }
+  options: { type: "object", values: { type: "string", maxLength: 100 } },
+  // null uses the price of the product, same bounds as the product price
+  price: {
+    type: "decimal",
+    scale: 2,
+    min: 0,
+    max: 9999999999.99,
+    nullable: true,
+  },
+  stock: { type: "integer", min: 0 },
+};
+
+export const getVariantsSchema = {
+  params: { id },
+};
+
+export const addVariantSchema = {
+  params: { id },
+  body: variantFields,
+};
+
+export const editVariantSchema = {
+  params: { id, variantId: id },
+  body: { ...variantFields, sku },
+};
+
+export const deleteVariantSchema = {
+  params: { id, variantId: id },
+};